@@ -0,0 +1,43 @@
+const backoff = require('../src/utils/backoff')
+
+describe('linear', () => {
+  it('increments up to max', () => {
+    const strategy = backoff.linear({ increment: 100, max: 250 })
+    expect([0, 1, 2, 3].map(attempt => strategy(attempt, 0))).toEqual([0, 100, 200, 250])
+  })
+})
+
+describe('exponential', () => {
+  it('doubles up to max without jitter', () => {
+    const strategy = backoff.exponential({ base: 100, max: 1000, jitter: 'none' })
+    expect([0, 1, 2, 3, 4].map(attempt => strategy(attempt, 0))).toEqual([100, 200, 400, 800, 1000])
+  })
+
+  it('applies full jitter', () => {
+    const strategy = backoff.exponential({ base: 100, max: 1000, random: () => 0.5 })
+    expect([0, 1, 4].map(attempt => strategy(attempt, 0))).toEqual([50, 100, 500])
+  })
+
+  it('applies decorrelated jitter', () => {
+    const strategy = backoff.exponential({ base: 100, max: 1000, jitter: 'decorrelated', random: () => 0.5 })
+    expect(strategy(0, 0)).toBe(200)
+    expect(strategy(1, 200)).toBe(350)
+    expect(strategy(2, 800)).toBe(1000)
+  })
+
+  it('stays within bounds', () => {
+    for (const jitter of ['none', 'full', 'decorrelated']) {
+      const strategy = backoff.exponential({ base: 10, max: 100, jitter })
+      let delay = 0
+      for (let attempt = 0; attempt < 100; attempt++) {
+        delay = strategy(attempt, delay)
+        expect(delay).toBeGreaterThanOrEqual(0)
+        expect(delay).toBeLessThanOrEqual(100)
+      }
+    }
+  })
+
+  it('throws on invalid jitter', () => {
+    expect(() => backoff.exponential({ jitter: 'foo' })).toThrow('invalid jitter foo')
+  })
+})
@@ -0,0 +1,50 @@
+const Endpoints = require('../src/message/endpoints')
+
+describe('Endpoints', () => {
+  it('rotates on failure', () => {
+    const endpoints = new Endpoints(['a:6020', 'b:6020', 'c:6020'])
+    const urls = []
+    for (let n = 0; n < 4; n++) {
+      urls.push(endpoints.next())
+      endpoints.onFailure(endpoints.current)
+    }
+    expect(urls).toEqual([
+      'ws://a:6020/',
+      'ws://b:6020/',
+      'ws://c:6020/',
+      'ws://a:6020/'
+    ])
+  })
+
+  it('prefers the last good endpoint', () => {
+    const endpoints = new Endpoints(['a:6020', 'b:6020', 'c:6020'])
+    endpoints.onFailure(endpoints.next())
+    endpoints.onSuccess(endpoints.next())
+    expect(endpoints.next()).toBe('ws://b:6020/')
+    expect(endpoints.next()).toBe('ws://b:6020/')
+  })
+
+  it('prefers healthy endpoints', () => {
+    const endpoints = new Endpoints(['a:6020', 'b:6020'])
+    endpoints.onSuccess(endpoints.next())
+    endpoints.onFailure(endpoints.current)
+    expect(endpoints.next()).toBe('ws://b:6020/')
+    endpoints.onFailure(endpoints.current)
+    endpoints.onFailure(endpoints.current)
+    expect(endpoints.next()).toBe('ws://a:6020/')
+  })
+
+  it('resolves urls for every attempt', () => {
+    let urls = 'a:6020'
+    const endpoints = new Endpoints(() => urls)
+    expect(endpoints.next()).toBe('ws://a:6020/')
+    urls = ['b:6020']
+    expect(endpoints.next()).toBe('ws://b:6020/')
+  })
+
+  it('throws on invalid urls', () => {
+    expect(() => new Endpoints(1)).toThrow('invalid argument url')
+    expect(() => new Endpoints([]).next()).toThrow('invalid url, no endpoints')
+    expect(() => new Endpoints(['http://a:6020']).next()).toThrow('Only ws and wss are supported')
+  })
+})
@@ -0,0 +1,35 @@
+const C = require('../src/constants/constants')
+const errors = require('../src/utils/errors')
+
+describe('create', () => {
+  it('maps events to error types', () => {
+    expect(errors.create(C.TOPIC.RECORD, C.EVENT.CACHE_ERROR, new Error('disk full'))).toBeInstanceOf(errors.CacheError)
+    expect(errors.create(C.TOPIC.CONNECTION, C.EVENT.CONNECTION_ERROR, 'socket error')).toBeInstanceOf(errors.ConnectionError)
+    expect(errors.create(C.TOPIC.AUTH, C.EVENT.TOO_MANY_AUTH_ATTEMPTS, 'too many')).toBeInstanceOf(errors.AuthError)
+    expect(errors.create(C.TOPIC.EVENT, C.EVENT.LISTENER_ERROR, 'listener exists')).toBeInstanceOf(errors.ListenerError)
+    expect(errors.create(C.TOPIC.RPC, C.EVENT.PROVIDER_EXISTS, 'foo')).toBeInstanceOf(errors.RpcError)
+  })
+
+  it('falls back to the base type', () => {
+    const err = errors.create(C.TOPIC.RECORD, C.EVENT.MESSAGE_DENIED, 'denied', ['foo'])
+    expect(err.constructor).toBe(errors.DeepstreamError)
+    expect(err).toMatchObject({ message: 'denied', code: 'MESSAGE_DENIED', event: 'MESSAGE_DENIED', topic: 'R', data: ['foo'] })
+  })
+
+  it('wraps other errors', () => {
+    const cause = new Error('disk full')
+    const err = errors.create(C.TOPIC.RECORD, C.EVENT.CACHE_ERROR, cause)
+    expect(err).toMatchObject({ message: 'disk full', code: 'CACHE_ERROR', cause })
+  })
+
+  it('passes typed errors through', () => {
+    const err = new errors.RecordUpdateError('version conflict', C.EVENT.VERSION_EXISTS, 'foo', '1-a')
+    expect(errors.create(C.TOPIC.RECORD, C.EVENT.UPDATE_ERROR, err, ['foo'])).toBe(err)
+    expect(err.data).toEqual(['foo'])
+  })
+
+  it('takes record name and version from data', () => {
+    const err = errors.create(C.TOPIC.RECORD, C.EVENT.UPDATE_ERROR, 'cannot set', ['foo', '1-a'])
+    expect(err).toMatchObject({ recordName: 'foo', recordVersion: '1-a' })
+  })
+})
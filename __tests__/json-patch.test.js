@@ -0,0 +1,66 @@
+const jsonPatch = require('../src/record/json-patch')
+const jsonPath = require('../src/record/json-path')
+
+describe('diff', () => {
+  it('empty for same', () => {
+    const obj = { a: { b: 1 } }
+    expect(jsonPatch.diff(obj, obj)).toEqual([])
+  })
+
+  it('replace nested', () => {
+    const prev = { a: { b: 1, c: [1, 2] }, d: 'x' }
+    const next = jsonPath.set(prev, 'a.b', 2)
+    expect(jsonPatch.diff(prev, next)).toEqual([
+      { op: 'replace', path: '/a/b', value: 2 }
+    ])
+  })
+
+  it('add and remove keys', () => {
+    expect(jsonPatch.diff({ a: 1, b: 2 }, { b: 2, c: 3 })).toEqual([
+      { op: 'remove', path: '/a' },
+      { op: 'add', path: '/c', value: 3 }
+    ])
+  })
+
+  it('arrays', () => {
+    expect(jsonPatch.diff({ a: [1, 2, 3] }, { a: [1, 4] })).toEqual([
+      { op: 'replace', path: '/a/1', value: 4 },
+      { op: 'remove', path: '/a/2' }
+    ])
+    expect(jsonPatch.diff({ a: [1] }, { a: [1, 2] })).toEqual([
+      { op: 'add', path: '/a/1', value: 2 }
+    ])
+  })
+
+  it('escapes keys', () => {
+    expect(jsonPatch.diff({}, { 'a/b~c': 1 })).toEqual([
+      { op: 'add', path: '/a~1b~0c', value: 1 }
+    ])
+  })
+
+  it('replace root', () => {
+    expect(jsonPatch.diff({ a: 1 }, [1])).toEqual([
+      { op: 'replace', path: '', value: [1] }
+    ])
+  })
+})
+
+describe('apply', () => {
+  it('round trips', () => {
+    const prev = { a: { b: 1, c: [1, 2, 3] }, 'x/y': true, d: 'x' }
+    const next = { a: { b: 2, c: [1, 5] }, 'x/y': false, e: { f: null } }
+    expect(jsonPatch.apply(prev, jsonPatch.diff(prev, next))).toEqual(next)
+  })
+
+  it('does not mutate', () => {
+    const prev = Object.freeze({ a: Object.freeze([1]) })
+    const next = jsonPatch.apply(prev, [{ op: 'add', path: '/a/-', value: 2 }])
+    expect(next).toEqual({ a: [1, 2] })
+    expect(prev).toEqual({ a: [1] })
+  })
+
+  it('throws on invalid path', () => {
+    expect(() => jsonPatch.apply({}, [{ op: 'replace', path: '/a/b', value: 1 }])).toThrow()
+    expect(() => jsonPatch.apply({}, [{ op: 'move', path: '/a' }])).toThrow()
+  })
+})
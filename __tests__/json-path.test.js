@@ -303,3 +303,35 @@ describe('plain JSON', () => {
     expect(res).toEqual({})
   })
 })
+
+describe('changes', () => {
+  it('same is empty', () => {
+    const obj = { a: 1 }
+    expect(jsonPath.changes(obj, obj)).toEqual([])
+  })
+
+  it('nested', () => {
+    const prev = { a: { b: 1, c: [1, 2] }, d: true }
+    const next = jsonPath.set(jsonPath.set(prev, 'a.b', 2), 'a.c', [1])
+    expect(jsonPath.changes(prev, next)).toEqual([
+      { op: 'replace', path: 'a.b', oldValue: 1, newValue: 2 },
+      { op: 'remove', path: 'a.c[1]', oldValue: 2, newValue: undefined }
+    ])
+  })
+
+  it('add and remove keys', () => {
+    expect(jsonPath.changes({ a: 1 }, { b: { c: 1 } })).toEqual([
+      { op: 'remove', path: 'a', oldValue: 1, newValue: undefined },
+      { op: 'add', path: 'b', oldValue: undefined, newValue: { c: 1 } }
+    ])
+  })
+
+  it('prefixes path', () => {
+    expect(jsonPath.changes({ b: 1 }, { b: 2 }, 'a')).toEqual([
+      { op: 'replace', path: 'a.b', oldValue: 1, newValue: 2 }
+    ])
+    expect(jsonPath.changes(undefined, 1, 'a')).toEqual([
+      { op: 'add', path: 'a', oldValue: undefined, newValue: 1 }
+    ])
+  })
+})
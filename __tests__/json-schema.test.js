@@ -0,0 +1,91 @@
+const jsonSchema = require('../src/record/json-schema')
+
+const validate = (schema, value) => jsonSchema.validate(jsonSchema.compile(schema), value)
+
+const schema = {
+  type: 'object',
+  required: ['title'],
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    count: { type: 'integer', minimum: 0 },
+    status: { enum: ['draft', 'published'] },
+    tags: { type: 'array', items: { type: 'string' }, maxItems: 2 },
+    meta: {
+      type: 'object',
+      additionalProperties: { type: ['string', 'null'] }
+    }
+  },
+  additionalProperties: false
+}
+
+describe('validate', () => {
+  it('valid', () => {
+    expect(validate(schema, {
+      title: 'a',
+      count: 1,
+      status: 'draft',
+      tags: ['x'],
+      meta: { a: 'b', c: null }
+    })).toEqual([])
+  })
+
+  it('reports failing paths', () => {
+    const errors = validate(schema, {
+      count: 'x',
+      status: 'deleted',
+      tags: ['x', 1, 'y'],
+      meta: { a: 1 },
+      other: true
+    })
+    expect(errors.map(({ path }) => path)).toEqual([
+      'title',
+      'count',
+      'status',
+      'tags',
+      'tags[1]',
+      'meta.a',
+      'other'
+    ])
+  })
+
+  it('numbers', () => {
+    expect(validate({ type: 'number', exclusiveMaximum: 1 }, 1)).toHaveLength(1)
+    expect(validate({ type: 'number' }, NaN)).toHaveLength(1)
+    expect(validate({ type: 'integer' }, 1.5)).toHaveLength(1)
+  })
+
+  it('anyOf and allOf', () => {
+    const s = { anyOf: [{ type: 'string' }, { type: 'number' }], allOf: [{ minLength: 1 }] }
+    expect(validate(s, 'a')).toEqual([])
+    expect(validate(s, true)).toHaveLength(1)
+  })
+
+  it('patterns', () => {
+    const s = jsonSchema.compile({ type: 'string', pattern: '^a+$' })
+    expect(s.pattern).toBeInstanceOf(RegExp)
+    expect(jsonSchema.validate(s, 'aa')).toEqual([])
+    expect(jsonSchema.validate(s, 'ab')).toEqual([{ path: '', message: 'must match ^a+$' }])
+  })
+})
+
+describe('compile', () => {
+  it('rejects unsupported keywords', () => {
+    expect(() => jsonSchema.compile({ oneOf: [{ type: 'string' }] })).toThrow('unsupported schema keyword oneOf at #')
+    expect(() => jsonSchema.compile({ $ref: '#/definitions/a' })).toThrow('unsupported schema keyword $ref')
+    expect(() => jsonSchema.compile({ type: 'string', format: 'email' })).toThrow('unsupported schema keyword format')
+    expect(() => jsonSchema.compile({
+      properties: { a: { items: { if: { type: 'string' } } } }
+    })).toThrow('unsupported schema keyword if at #/properties/a/items')
+  })
+
+  it('rejects invalid keywords', () => {
+    expect(() => jsonSchema.compile({ type: 'date' })).toThrow('invalid schema type')
+    expect(() => jsonSchema.compile({ minLength: -1 })).toThrow('invalid schema minLength')
+    expect(() => jsonSchema.compile({ items: [{ type: 'string' }] })).toThrow('invalid schema at #/items')
+    expect(() => jsonSchema.compile({ pattern: '(' })).toThrow(SyntaxError)
+  })
+
+  it('ignores annotations', () => {
+    expect(jsonSchema.compile({ title: 'a', description: 'b', type: 'string' })).toEqual({ type: ['string'] })
+  })
+})
@@ -0,0 +1,84 @@
+const merge = require('../src/record/merge')
+
+describe('threeWay', () => {
+  it('takes remote when local is unchanged', () => {
+    const base = { a: 1 }
+    const remote = { a: 2 }
+    const conflicts = []
+    expect(merge.threeWay(base, { a: 1 }, remote, conflicts)).toBe(remote)
+    expect(conflicts).toEqual([])
+  })
+
+  it('takes local when remote is unchanged', () => {
+    const base = { a: 1 }
+    const local = { a: 2 }
+    const conflicts = []
+    expect(merge.threeWay(base, local, { a: 1 }, conflicts)).toBe(local)
+    expect(conflicts).toEqual([])
+  })
+
+  it('merges concurrent edits to different fields', () => {
+    const conflicts = []
+    const res = merge.threeWay(
+      { a: 1, b: { c: 1, d: 1 } },
+      { a: 2, b: { c: 1, d: 1 } },
+      { a: 1, b: { c: 1, d: 2 } },
+      conflicts
+    )
+    expect(res).toEqual({ a: 2, b: { c: 1, d: 2 } })
+    expect(conflicts).toEqual([])
+  })
+
+  it('merges deletes', () => {
+    const conflicts = []
+    const res = merge.threeWay(
+      { a: 1, b: 1 },
+      { b: 1 },
+      { a: 1, b: 2, c: 3 },
+      conflicts
+    )
+    expect(res).toEqual({ b: 2, c: 3 })
+    expect(conflicts).toEqual([])
+  })
+
+  it('reports conflicts and keeps local', () => {
+    const conflicts = []
+    const res = merge.threeWay(
+      { a: { b: 1 }, c: 1 },
+      { a: { b: 2 }, c: 1 },
+      { a: { b: 3 }, c: 2 },
+      conflicts
+    )
+    expect(res).toEqual({ a: { b: 2 }, c: 2 })
+    expect(conflicts).toEqual(['a.b'])
+  })
+
+  it('treats arrays as values', () => {
+    const conflicts = []
+    const res = merge.threeWay({ a: [1] }, { a: [1, 2] }, { a: [1, 3] }, conflicts)
+    expect(res).toEqual({ a: [1, 2] })
+    expect(conflicts).toEqual(['a'])
+  })
+})
+
+describe('lastWriterWins', () => {
+  it('re-applies patches on top of remote', () => {
+    const conflicts = []
+    const res = merge.lastWriterWins({ a: 1, b: 1 }, { a: 1, b: 2 }, ['a', 2], conflicts)
+    expect(res).toEqual({ a: 2, b: 2 })
+    expect(conflicts).toEqual([])
+  })
+
+  it('reports conflicts on patched paths', () => {
+    const conflicts = []
+    const res = merge.lastWriterWins({ a: 1 }, { a: 3 }, ['a', 2], conflicts)
+    expect(res).toEqual({ a: 2 })
+    expect(conflicts).toEqual(['a'])
+  })
+
+  it('does not report conflicts without base', () => {
+    const conflicts = []
+    merge.lastWriterWins(null, { a: 3 }, ['a', 2], conflicts)
+    expect(conflicts).toEqual([])
+  })
+})
@@ -0,0 +1,55 @@
+const { MessageChannel } = require('worker_threads')
+const createDeepstream = require('../src/client')
+const { MockServer } = require('../testing')
+
+describe('messagePort', () => {
+  it('relays a connection over a worker_threads MessageChannel', async () => {
+    const server = new MockServer()
+    const { port1, port2 } = new MessageChannel()
+
+    const unrelay = createDeepstream.transports.messagePort.relay(port2, server.transport)
+    const client = createDeepstream('mock', { transport: createDeepstream.transports.messagePort(port1) })
+    client.on('error', () => {})
+    await client.login({})
+
+    server.setRecord('foo', { a: 1 })
+    expect(await client.record.get('foo')).toEqual({ a: 1 })
+    await client.record.set('foo', { a: 2 }, { ack: true })
+    expect(server.getRecord('foo').data).toEqual({ a: 2 })
+
+    await client.close()
+    expect(port1.listenerCount('message')).toBe(0)
+    unrelay()
+    expect(port2.listenerCount('message')).toBe(0)
+
+    port1.close()
+    server.close()
+  })
+
+  it('relays one socket per client connection', async () => {
+    const server = new MockServer()
+    const { port1, port2 } = new MessageChannel()
+
+    const sockets = []
+    const unrelay = createDeepstream.transports.messagePort.relay(port2, (url, options) => {
+      const socket = server.transport(url, options)
+      sockets.push(socket)
+      return socket
+    })
+    const a = createDeepstream('mock', { transport: createDeepstream.transports.messagePort(port1) })
+    const b = createDeepstream('mock', { transport: createDeepstream.transports.messagePort(port1) })
+    await Promise.all([a.login({}), b.login({})])
+    expect(sockets.length).toBe(2)
+
+    await a.close()
+    while (sockets[0].readyState === sockets[0].OPEN) {
+      await new Promise(resolve => setTimeout(resolve, 10))
+    }
+    expect(sockets.map(socket => socket.readyState === socket.OPEN)).toEqual([false, true])
+
+    await b.close()
+    unrelay()
+    port1.close()
+    server.close()
+  })
+})
@@ -0,0 +1,1126 @@
+const createDeepstream = require('../src/client')
+const { MockServer } = require('../testing')
+const C = require('../src/constants/constants')
+const messageBuilder = require('../src/message/message-builder')
+const lz = require('lz-string')
+const msgpack = require('@msgpack/msgpack')
+const memdown = require('memdown')
+const { TextEncoder, TextDecoder } = require('util')
+const levelup = require('levelup')
+const encodingdown = require('encoding-down')
+
+function login (client, authParams) {
+  return new Promise(resolve => client.login(authParams || {}, (success, data) => resolve({ success, data })))
+}
+
+async function waitFor (fn, timeout = 2000) {
+  const deadline = Date.now() + timeout
+  while (!fn()) {
+    if (Date.now() > deadline) {
+      throw new Error('timed out')
+    }
+    await new Promise(resolve => setTimeout(resolve, 10))
+  }
+}
+
+function outboxKeys (db) {
+  return new Promise((resolve, reject) => {
+    const keys = []
+    levelup(encodingdown(db, { valueEncoding: 'json' }))
+      .createKeyStream({ gte: '\u0000outbox\u0000', lt: '\u0000outbox\u0001' })
+      .on('data', key => keys.push(key))
+      .on('error', reject)
+      .on('end', () => resolve(keys))
+  })
+}
+
+describe('MockServer', () => {
+  let server
+  let clients
+
+  const connect = async (options, authParams, url) => {
+    const client = url ? createDeepstream(url, options) : server.createClient(options)
+    client.on('error', () => {})
+    clients.push(client)
+    await login(client, authParams)
+    return client
+  }
+
+  beforeEach(() => {
+    server = new MockServer()
+    clients = []
+  })
+
+  afterEach(async () => {
+    await Promise.all(clients.map(client => client.close()))
+    server.close()
+  })
+
+  it('authenticates', async () => {
+    server = new MockServer({
+      authenticate: ({ username }) => username === 'foo' && { id: 'foo' }
+    })
+
+    const client = server.createClient()
+    clients.push(client)
+    expect(await login(client, { username: 'bar' })).toEqual({ success: false, data: 'invalid authentication details' })
+    expect(await login(client, { username: 'foo' })).toEqual({ success: true, data: { id: 'foo' } })
+    expect(client.user).toBe('foo')
+  })
+
+  it('logs in, connects and closes with promises', async () => {
+    server = new MockServer({
+      authenticate: ({ username }) => username === 'foo' && { id: 'foo' }
+    })
+
+    const client = server.createClient()
+    clients.push(client)
+
+    const error = await client.login({ username: 'bar' }).catch(err => err)
+    expect(error).toBeInstanceOf(createDeepstream.errors.AuthError)
+    expect(error.code).toBe('INVALID_AUTHENTICATION_DETAILS')
+
+    await expect(client.login({ username: 'foo' })).resolves.toEqual({ id: 'foo' })
+    await client.connected()
+
+    client.record.set('foo', { a: 1 })
+    client.record.get('bar')
+    await client.close()
+
+    expect(server.getRecord('foo').data).toEqual({ a: 1 })
+    expect(client.record.stats.records).toBe(0)
+    await expect(client.connected()).rejects.toThrow('connection was closed')
+  })
+
+  it('rejects logins with a connection error when the connection fails first', async () => {
+    server = new MockServer({ authenticate: () => new Promise(() => {}) })
+    const { AUTHENTICATING } = C.CONNECTION_STATE
+
+    const closed = server.createClient()
+    clients.push(closed)
+    const closedLogin = closed.login({ username: 'foo' })
+    await waitFor(() => closed.getConnectionState() === AUTHENTICATING)
+    await closed.close()
+
+    const closedError = await closedLogin.catch(err => err)
+    expect(closedError).toBeInstanceOf(createDeepstream.errors.ConnectionError)
+    expect(closedError.code).toBe(C.EVENT.IS_CLOSED)
+
+    let endpoint = null
+    const timedOut = server.createClient({
+      transport: (url, options) => (endpoint = server.transport(url, options))
+    })
+    clients.push(timedOut)
+    timedOut.on('error', () => {})
+    const timedOutLogin = timedOut.login({ username: 'foo' })
+    await waitFor(() => timedOut.getConnectionState() === AUTHENTICATING)
+    endpoint.onmessage({
+      data: messageBuilder.getMsg(C.TOPIC.CONNECTION, C.ACTIONS.ERROR, [
+        C.EVENT.CONNECTION_AUTHENTICATION_TIMEOUT,
+        messageBuilder.typed('authentication timeout')
+      ])
+    })
+
+    const timeoutError = await timedOutLogin.catch(err => err)
+    expect(timeoutError).toBeInstanceOf(createDeepstream.errors.ConnectionError)
+    expect(timeoutError.code).toBe(C.EVENT.CONNECTION_AUTHENTICATION_TIMEOUT)
+  })
+
+  it('streams errors per topic without throwing', async () => {
+    const client = server.createClient({ errorPolicy: 'ignore' })
+    clients.push(client)
+    await login(client)
+
+    const rpcErrors = []
+    const recordErrors = []
+    client.rpc.errors$.subscribe(err => rpcErrors.push(err))
+    client.record.errors$.subscribe(err => recordErrors.push(err))
+
+    client.rpc.provide('foo', () => {})
+    client.rpc.provide('foo', () => {})
+    client.rpc.unprovide('bar')
+
+    expect(rpcErrors.map(err => err.code)).toEqual(['PROVIDER_EXISTS', 'NOT_PROVIDING'])
+    expect(rpcErrors[0]).toBeInstanceOf(createDeepstream.errors.RpcError)
+    expect(recordErrors).toEqual([])
+
+    const throwing = server.createClient({ errorPolicy: 'throw' })
+    clients.push(throwing)
+    throwing.rpc.provide('foo', () => {})
+    expect(() => throwing.rpc.provide('foo', () => {})).toThrow(createDeepstream.errors.RpcError)
+  })
+
+  it('fetches fresh auth params for every authentication', async () => {
+    let token = 0
+    server = new MockServer({
+      authenticate: params => params.token === token && { id: `user-${token}` }
+    })
+
+    const expiring = []
+    const client = await connect({
+      authProvider: () => ({ token: ++token }),
+      tokenExpiry: (authParams, authData) => authData && authData.id === 'user-1' ? Date.now() : null
+    })
+    client.on('tokenExpiring', event => expiring.push(event))
+    expect(client.user).toBe('user-1')
+
+    // NOTE: Expiry of the first token triggers re-authentication with the second.
+    while (client.user !== 'user-2') {
+      await new Promise(resolve => setTimeout(resolve, 1))
+    }
+    expect(expiring.length).toBe(1)
+    expect(server.connections).toBe(1)
+
+    server.disconnect()
+    await new Promise(resolve => client.on('connectionStateChanged', state => {
+      if (state === client.CONSTANTS.CONNECTION_STATE.OPEN) {
+        resolve()
+      }
+    }))
+    expect(client.user).toBe('user-3')
+  })
+
+  it('reauthenticates without dropping the connection', async () => {
+    server = new MockServer({
+      authenticate: ({ username }) => username !== 'baz' && { id: username }
+    })
+
+    const client = await connect(undefined, { username: 'foo' })
+    const states = []
+    client.on('connectionStateChanged', state => states.push(state))
+
+    const reauthenticate = authParams => new Promise(resolve => client.reauthenticate(authParams, (success, data) => resolve({ success, data })))
+    expect(await reauthenticate({ username: 'bar' })).toEqual({ success: true, data: { id: 'bar' } })
+    expect(client.user).toBe('bar')
+
+    expect(await reauthenticate({ username: 'baz' })).toEqual({ success: false, data: 'invalid authentication details' })
+    expect(client.user).toBe('bar')
+    expect(states).toEqual([])
+  })
+
+  it('reauthenticates on the next connection when the server does not support it in place', async () => {
+    const requests = []
+    server = new MockServer({
+      features: [],
+      authenticate: ({ username }) => requests.push(username) && { id: username }
+    })
+
+    const client = await connect({ reconnectStrategy: () => 10 }, { username: 'foo' })
+
+    const reauthenticated = new Promise(resolve => client.reauthenticate({ username: 'bar' }, (success, data) => resolve({ success, data })))
+    await new Promise(resolve => setTimeout(resolve, 20))
+    expect(requests).toEqual(['foo'])
+    expect(client.user).toBe('foo')
+
+    server.disconnect()
+    expect(await reauthenticated).toEqual({ success: true, data: { id: 'bar' } })
+    expect(requests).toEqual(['foo', 'bar'])
+    expect(client.user).toBe('bar')
+  })
+
+  it('reads and updates records', async () => {
+    server.setRecord('foo', { a: 1 })
+
+    const a = await connect()
+    const b = await connect()
+
+    expect(await a.record.get('foo')).toEqual({ a: 1 })
+    expect(await a.record.get('bar')).toEqual({})
+
+    const values = []
+    const subscription = b.record.observe('foo').subscribe(value => values.push(value))
+    await b.record.get('foo')
+
+    const version = await a.record.set('foo', 'a', 2, { ack: true })
+    expect(server.getRecord('foo')).toEqual({ version, data: { a: 2 } })
+
+    await b.record.sync()
+    expect(values).toEqual([{ a: 1 }, { a: 2 }])
+    subscription.unsubscribe()
+  })
+
+  it('acknowledges each write with its own version', async () => {
+    const client = await connect()
+
+    const foo = client.record.getRecord('foo')
+    await foo.when()
+    const [v1, v2] = await Promise.all([
+      foo.set({ a: 1 }, { ack: true }),
+      foo.set({ a: 2 }, { ack: true })
+    ])
+    expect(v1).not.toBe(v2)
+    expect(server.getRecord('foo')).toEqual({ version: v2, data: { a: 2 } })
+    expect(await foo.set({ a: 2 }, { ack: true })).toBe(v2)
+
+    // NOTE: Not ready, the version is only known once the write is sent.
+    const bar = client.record.getRecord('bar')
+    expect(bar.isReady).toBe(false)
+    const v3 = await bar.set({ b: 1 }, { ack: true })
+    expect(server.getRecord('bar')).toEqual({ version: v3, data: { b: 1 } })
+    expect(client.record.stats.outbox).toBe(0)
+
+    foo.unref()
+    bar.unref()
+  })
+
+  it('rejects acks for writes the server did not apply', async () => {
+    server = new MockServer({ canWrite: (user, name) => name !== 'locked' })
+    const client = await connect()
+
+    const foo = client.record.getRecord('foo')
+    await foo.when()
+    server.setRecord('foo', { a: 1 })
+    server.setRecord('foo', { a: 2 })
+    await expect(foo.set({ a: 3 }, { ack: true })).rejects.toMatchObject({ code: 'VERSION_EXISTS' })
+
+    const locked = client.record.getRecord('locked')
+    await locked.when()
+    await expect(locked.set({ a: 1 }, { ack: true })).rejects.toMatchObject({ code: 'MESSAGE_DENIED' })
+    expect(server.getRecord('locked')).toBe(null)
+    expect(client.record.stats.outbox).toBe(0)
+
+    foo.unref()
+    locked.unref()
+  })
+
+  it('keeps a configurable history and undoes and redoes writes', async () => {
+    const client = await connect()
+
+    const bar = client.record.getRecord('bar')
+    await bar.when()
+
+    const unconfigure = client.record.configure('^(foo|bar)$', { history: 2 })
+
+    const foo = client.record.getRecord('foo')
+    await foo.when()
+    foo.set({ a: 2 })
+    foo.set({ a: 2, b: 1 })
+    foo.set({ a: 3, b: 1 })
+    expect(foo.history().map(({ data }) => data)).toEqual([{ a: 2, b: 1 }, { a: 3, b: 1 }])
+
+    await foo.undo()
+    expect(foo.get()).toEqual({ a: 2, b: 1 })
+    await foo.undo()
+    expect(foo.get()).toEqual({ a: 2 })
+    await foo.undo()
+    expect(foo.get()).toEqual({ a: 2 })
+
+    await foo.redo()
+    expect(foo.get()).toEqual({ a: 2, b: 1 })
+    await client.record.sync()
+    expect(server.getRecord('foo').data).toEqual({ a: 2, b: 1 })
+
+    // NOTE: Resolved when the record is created, open records keep theirs.
+    bar.set({ a: 1 })
+    expect(bar.history()).toEqual([])
+    unconfigure()
+    foo.set({ a: 4 })
+    expect(foo.history().map(({ data }) => data)).toEqual([{ a: 2, b: 1 }, { a: 4 }])
+
+    foo.unref()
+    bar.unref()
+  })
+
+  it('rejects schemas with unsupported keywords', async () => {
+    const client = await connect()
+
+    expect(() => client.record.defineSchema('^foo$', {
+      type: 'object',
+      properties: { email: { type: 'string', format: 'email' } }
+    })).toThrow('unsupported schema keyword format at #/properties/email')
+    expect(() => client.record.configure('^foo$', { schema: { $ref: '#/a' } })).toThrow('unsupported schema keyword $ref')
+
+    const foo = client.record.getRecord('foo')
+    await foo.when()
+    foo.set({ email: 1 })
+    expect(foo.get()).toEqual({ email: 1 })
+    foo.unref()
+  })
+
+  it('keeps the undo entry when the write fails', async () => {
+    const client = await connect()
+    client.record.configure('^foo$', { history: 10 })
+
+    const foo = client.record.getRecord('foo')
+    await foo.when()
+    foo.set({ a: 1 })
+    foo.set({ a: 1, b: 1 })
+
+    client.record.defineSchema('^foo$', { type: 'object', required: ['b'] })
+    expect(() => foo.undo()).toThrow('invalid data')
+    expect(foo.get()).toEqual({ a: 1, b: 1 })
+
+    // NOTE: The entry was not moved, undo fails again rather than skipping it.
+    expect(() => foo.undo()).toThrow('invalid data')
+    await foo.redo()
+    expect(foo.get()).toEqual({ a: 1, b: 1 })
+
+    foo.unref()
+  })
+
+  it('writes batches and reports each write', async () => {
+    server.setRecord('b', { n: 1 })
+    const client = await connect()
+
+    const updates = []
+    const subscription = client.record.observe('b').subscribe(value => updates.push(value))
+    await client.record.get('b')
+
+    const results = await client.record.batch(batch => {
+      batch.set('a', { x: 1 })
+      batch.update('b', 'n', n => n + 1)
+      batch.update('b', 'n', n => n * 10)
+    })
+
+    expect(results.map(({ name, error }) => [name, error ? error.code : null])).toEqual([
+      ['a', null],
+      ['b', null],
+      ['b', null]
+    ])
+    expect(server.getRecord('a')).toEqual({ version: results[0].version, data: { x: 1 } })
+    expect(server.getRecord('b')).toEqual({ version: results[2].version, data: { n: 20 } })
+    expect(updates).toEqual([{ n: 1 }, { n: 20 }])
+    expect(client.record.stats.outbox).toBe(0)
+
+    subscription.unsubscribe()
+  })
+
+  it('applies batches atomically', async () => {
+    server = new MockServer({ canWrite: (user, name) => name !== 'locked' })
+    server.setRecord('b', { n: 1 })
+    const client = await connect()
+
+    const results = await client.record.batch(batch => {
+      batch.set('a', { x: 1 })
+      batch.update('b', 'n', n => n + 1)
+      batch.set('locked', 'x', 1)
+    })
+
+    expect(results.map(({ name, error }) => [name, error ? error.code : null])).toEqual([
+      ['a', 'UPDATE_ERROR'],
+      ['b', 'UPDATE_ERROR'],
+      ['locked', 'MESSAGE_DENIED']
+    ])
+    expect(server.getRecord('a')).toBe(null)
+    expect(server.getRecord('b').data).toEqual({ n: 1 })
+    expect(server.getRecord('locked')).toBe(null)
+    expect(client.record.stats.outbox).toBe(0)
+  })
+
+  it('rejects batches when the server does not support them', async () => {
+    server = new MockServer({ features: [C.FEATURE.WRITE_ACK] })
+    const client = await connect()
+
+    await expect(client.record.batch(batch => {
+      batch.set('a', { x: 1 })
+    })).rejects.toMatchObject({ code: 'UPDATE_ERROR', message: 'batch updates not supported' })
+
+    await client.record.sync()
+    expect(server.getRecord('a')).toBe(null)
+    expect(await client.record.batch(() => {})).toEqual([])
+  })
+
+  it('fails batches which are too large to send', async () => {
+    server = new MockServer({ features: [C.FEATURE.WRITE_ACK, C.FEATURE.BATCH] })
+    const client = await connect({ maxPacketSize: 1024 })
+
+    const errors = []
+    client.on('error', err => errors.push(err))
+
+    // NOTE: Fits in maxPacketSize UTF-16 code units, but not in UTF-8 bytes.
+    const results = await client.record.batch(batch => {
+      batch.set('a', { text: '\u00fc'.repeat(300) })
+      batch.set('b', { text: '\u00fc'.repeat(300) })
+    })
+
+    expect(results.map(({ name, error }) => [name, error ? error.code : null])).toEqual([
+      ['a', 'UPDATE_ERROR'],
+      ['b', 'UPDATE_ERROR']
+    ])
+    expect(errors.map(err => err.code)).toEqual([C.EVENT.CONNECTION_ERROR])
+    expect(client.record.stats.outbox).toBe(0)
+    await client.record.sync()
+    expect(server.getRecord('a')).toBe(null)
+  })
+
+  it('splits corked packets by UTF-8 bytes', async () => {
+    server = new MockServer({ features: [C.FEATURE.WRITE_ACK] })
+    const client = await connect({ maxPacketSize: 256 })
+
+    const names = Array.from({ length: 10 }, (_, n) => '\u00fc'.repeat(30) + n)
+    const records = names.map(name => client.record.getRecord(name))
+    await Promise.all(records.map(record => record.when()))
+
+    // NOTE: Records are read again, corked, once reconnected.
+    server.disconnect()
+    await waitFor(() => records.every(record => !record.isReady))
+    await Promise.all(records.map(record => record.when()))
+
+    for (const record of records) {
+      record.unref()
+    }
+  })
+
+  it('fails the whole batch without sending anything when an op is invalid', async () => {
+    const client = await connect()
+
+    await expect(client.record.batch(batch => {
+      batch.set('a', { x: 1 })
+      batch.set('b', '_private', 1)
+    })).rejects.toThrow('invalid argument: path')
+
+    await expect(client.record.batch(batch => {
+      batch.set('a', { x: 1 })
+      batch.update('b', () => { throw new Error('boom') })
+    })).rejects.toThrow('boom')
+
+    await expect(client.record.batch(batch => {
+      batch.set('a', { x: 1 })
+      batch.set('_private', { x: 1 })
+    })).rejects.toThrow('cannot set')
+
+    await client.record.sync()
+    expect(server.getRecord('a')).toBe(null)
+    expect(await client.record.get('a')).toEqual({})
+    expect(client.record.stats.outbox).toBe(0)
+  })
+
+  it('runs transactions from concurrent writers without losing updates', async () => {
+    const a = await connect()
+    const b = await connect()
+
+    const increment = client => client.record
+      .transaction('counter', 'n', n => (n || 0) + 1)
+      .then(() => true, err => {
+        expect(err.code).toBe('VERSION_EXISTS')
+        return false
+      })
+
+    const results = await Promise.all([
+      ...Array.from({ length: 15 }, () => increment(a)),
+      ...Array.from({ length: 15 }, () => increment(b))
+    ])
+    const successes = results.filter(Boolean).length
+
+    expect(successes).toBeGreaterThan(0)
+    expect(server.getRecord('counter').data).toEqual({ n: successes })
+
+    await a.record.sync()
+    await b.record.sync()
+    expect(await a.record.get('counter')).toEqual({ n: successes })
+    expect(await b.record.get('counter')).toEqual({ n: successes })
+  })
+
+  it('rejects conditional updates when the record has changed', async () => {
+    const client = await connect()
+
+    const foo = client.record.getRecord('foo')
+    await foo.when()
+    const version = foo.version
+    server.setRecord('foo', { a: 1 })
+
+    await expect(foo.compareAndSet(version, { a: 2 })).rejects.toMatchObject({ code: 'VERSION_EXISTS' })
+    expect(server.getRecord('foo').data).toEqual({ a: 1 })
+    expect(foo.get()).toEqual({ a: 1 })
+
+    const next = await foo.compareAndSet(foo.version, { a: 3 })
+    expect(server.getRecord('foo')).toEqual({ version: next, data: { a: 3 } })
+    expect(foo.version).toBe(next)
+    expect(client.record.stats.outbox).toBe(0)
+
+    foo.unref()
+  })
+
+  it('rejects conditional updates when the server does not support them', async () => {
+    server = new MockServer({ features: [C.FEATURE.WRITE_ACK] })
+    const client = await connect()
+
+    const foo = client.record.getRecord('foo')
+    await foo.when()
+    await expect(foo.compareAndSet(foo.version, { a: 1 })).rejects.toThrow('conditional updates not supported')
+    expect(server.getRecord('foo')).toBe(null)
+
+    foo.unref()
+  })
+
+  it('rejects acks when the server does not acknowledge writes', async () => {
+    server = new MockServer({ features: [] })
+    const client = await connect()
+
+    const foo = client.record.getRecord('foo')
+    await foo.when()
+    await expect(foo.set({ a: 1 }, { ack: true })).rejects.toThrow('write acknowledgements not supported')
+
+    foo.unref()
+  })
+
+  it('routes events', async () => {
+    const a = await connect()
+    const b = await connect()
+
+    const received = new Promise(resolve => b.event.subscribe('foo', resolve))
+    await b.record.sync()
+
+    a.event.emit('foo', { bar: true })
+    expect(await received).toEqual({ bar: true })
+  })
+
+  it('routes record providers', async () => {
+    const a = await connect()
+    const b = await connect()
+
+    a.record.provide('^foo/', name => ({ name }))
+
+    expect(await b.record.get('foo/1', b.record.PROVIDER)).toEqual({ name: 'foo/1' })
+  })
+
+  it('routes rpcs', async () => {
+    const a = await connect()
+    const b = await connect()
+
+    a.rpc.provide('add', ([x, y]) => x + y)
+    await a.record.sync()
+
+    expect(await b.rpc.make('add', [1, 2])).toBe(3)
+    await expect(b.rpc.make('sub', [1, 2])).rejects.toThrow('NO_RPC_PROVIDER')
+  })
+
+  it('times out and aborts rpcs, cancelling them on the provider', async () => {
+    const a = await connect()
+    const b = await connect()
+
+    const signals = []
+    a.rpc.provide('slow', (data, response) => {
+      signals.push(response.signal)
+      return new Promise(() => {})
+    })
+    await a.record.sync()
+
+    const timedOut = b.rpc.make('slow', null, { timeout: 20 })
+    await expect(timedOut).rejects.toMatchObject({ code: 'TIMEOUT', rpcName: 'slow' })
+    expect(b.stats.rpc.rpcs).toBe(0)
+
+    const controller = new global.AbortController()
+    const aborted = b.rpc.make('slow', null, { signal: controller.signal })
+    await new Promise(resolve => setTimeout(resolve, 20))
+    controller.abort()
+    await expect(aborted).rejects.toMatchObject({ code: 'ABORT_ERR' })
+
+    await expect(b.rpc.make('slow', null, { signal: controller.signal })).rejects.toMatchObject({ code: 'ABORT_ERR' })
+
+    await new Promise(resolve => setTimeout(resolve, 20))
+    expect(signals.map(signal => signal.aborted)).toEqual([true, true])
+    expect(a.rpc._responses.size).toBe(0)
+  })
+
+  it('retries rpcs with the same id across reconnects', async () => {
+    const a = await connect({ reconnectStrategy: () => 10 })
+    const b = await connect({ reconnectStrategy: () => 10 })
+
+    const ids = []
+    a.rpc.provide('jobs.run', (data, response) => {
+      ids.push(response.id)
+      return new Promise(resolve => setTimeout(() => resolve('done'), 30))
+    })
+    await a.record.sync()
+
+    b.rpc.configure(/^jobs\./, { retry: { maxAttempts: 3, backoff: () => 10 } })
+    const result = b.rpc.make('jobs.run')
+
+    while (ids.length === 0) {
+      await new Promise(resolve => setTimeout(resolve, 5))
+    }
+    server.disconnect()
+
+    expect(await result).toBe('done')
+    expect(ids.length).toBe(2)
+    expect(ids[1]).toBe(ids[0])
+
+    const failed = a.rpc.make('jobs.run')
+    server.disconnect()
+    await expect(failed).rejects.toMatchObject({ code: 'ECONNRESET' })
+  })
+
+  it('retries rpcs without a provider when configured', async () => {
+    const a = await connect()
+    const b = await connect()
+
+    b.rpc.configure('^jobs\\.', { retry: { retryOn: ['NO_RPC_PROVIDER'], backoff: () => 20 } })
+    const result = b.rpc.make('jobs.run', [1, 2])
+
+    await new Promise(resolve => setTimeout(resolve, 10))
+    a.rpc.provide('jobs.run', ([x, y]) => x + y)
+
+    expect(await result).toBe(3)
+    await expect(b.rpc.make('jobs.other')).rejects.toThrow('NO_RPC_PROVIDER')
+  })
+
+  it('logs and traces rpcs', async () => {
+    const logs = []
+    const spans = []
+    const logger = { trace () {}, debug: (obj, msg) => logs.push({ ...obj, msg }) }
+    const tracer = {
+      startSpan: (name, { attributes }) => {
+        const span = { name, attributes, ended: false }
+        span.setAttribute = (key, value) => { span.attributes[key] = value }
+        span.setStatus = status => { span.status = status }
+        span.recordException = err => { span.exception = err }
+        span.end = () => { span.ended = true }
+        spans.push(span)
+        return span
+      }
+    }
+
+    const a = await connect({ logger, tracer })
+    const b = await connect({ logger, tracer })
+
+    a.rpc.provide('add', ([x, y]) => x + y)
+    await a.record.sync()
+
+    expect(await b.rpc.make('add', [1, 2])).toBe(3)
+
+    const make = spans.find(span => span.name === 'deepstream.rpc.make')
+    const respond = spans.find(span => span.name === 'deepstream.rpc.respond')
+    expect(make.ended && respond.ended).toBe(true)
+    expect(make.attributes['rpc.name']).toBe('add')
+    expect(respond.attributes['rpc.id']).toBe(make.attributes['rpc.id'])
+
+    const response = logs.find(log => log.msg === 'rpc response')
+    expect(response).toMatchObject({ name: 'add', id: make.attributes['rpc.id'] })
+    expect(typeof response.duration).toBe('number')
+    expect(logs.some(log => log.msg === 'connection state changed' && log.state === 'OPEN')).toBe(true)
+
+    await expect(b.rpc.make('sub', [1, 2])).rejects.toThrow('NO_RPC_PROVIDER')
+    expect(spans[spans.length - 1].status).toEqual({ code: 2, message: 'NO_RPC_PROVIDER' })
+  })
+
+  it('collects metrics', async () => {
+    const a = await connect({ heartbeatInterval: 20 })
+    const b = await connect()
+
+    a.rpc.provide('add', ([x, y]) => x + y)
+    await a.record.sync()
+    expect(await b.rpc.make('add', [1, 2])).toBe(3)
+    await b.record.get('foo')
+    await new Promise(resolve => setTimeout(resolve, 50))
+
+    const { connection, record, rpc } = b.stats
+    expect(rpc.latency.add.count).toBe(1)
+    expect(record.readLatency.count).toBe(1)
+    expect(connection.bytesSent.P).toBeGreaterThan(0)
+    expect(connection.bytesReceived.P).toBeGreaterThan(0)
+    expect(connection.queued).toBe(0)
+    expect(a.stats.connection.heartbeatRtt.count).toBeGreaterThan(0)
+
+    expect(b.toPrometheus()).toContain('deepstream_rpc_latency_seconds_count{name="add"} 1\n')
+  })
+
+  it('measures every read of a record', async () => {
+    const client = await connect({ reconnectStrategy: () => 10 })
+
+    const foo = client.record.getRecord('foo')
+    await foo.when()
+    const { count, sum } = client.stats.record.readLatency
+    expect(count).toBe(1)
+
+    // NOTE: The re-read after reconnecting is measured from when it was sent.
+    await new Promise(resolve => setTimeout(resolve, 300))
+    server.disconnect()
+    await waitFor(() => client.stats.record.readLatency.count === 2)
+    expect(client.stats.record.readLatency.sum - sum).toBeLessThan(300)
+
+    foo.unref()
+  })
+
+  it('replays unconfirmed updates after a disconnect', async () => {
+    const client = await connect()
+
+    await client.record.get('foo')
+    server.disconnect()
+    client.record.set('foo', { a: 1 })
+
+    await new Promise(resolve => client.on('connectionStateChanged', state => {
+      if (state === client.CONSTANTS.CONNECTION_STATE.OPEN) {
+        resolve()
+      }
+    }))
+
+    expect(await client.record.get('foo')).toEqual({ a: 1 })
+    expect(server.getRecord('foo').data).toEqual({ a: 1 })
+    expect(client.record.stats.outbox).toBe(0)
+  })
+
+  it('replays updates dropped in flight until the server acknowledges them', async () => {
+    const client = await connect({ reconnectStrategy: () => 10 })
+
+    await client.record.get('foo')
+    client.record.set('foo', { a: 1 })
+    expect(client.record.stats.outbox).toBe(1)
+    server.disconnect()
+
+    await waitFor(() => client.record.stats.outbox === 0)
+    expect(server.getRecord('foo').data).toEqual({ a: 1 })
+  })
+
+  it('replays journaled updates after a restart without opening the record', async () => {
+    const cacheDb = memdown()
+    const a = await connect({ cacheDb })
+
+    await a.record.get('foo')
+    a.record.set('foo', { a: 1 })
+    server.disconnect()
+    await a.close()
+    expect(server.getRecord('foo')).toBeFalsy()
+
+    const b = await connect({ cacheDb })
+    await waitFor(() => server.getRecord('foo'))
+    expect(server.getRecord('foo').data).toEqual({ a: 1 })
+
+    await waitFor(() => b.record.stats.outbox === 0)
+    expect(await outboxKeys(cacheDb)).toEqual([])
+  })
+
+  it('replays journaled updates once to a server without write acknowledgements', async () => {
+    const cacheDb = memdown()
+    const a = await connect({ cacheDb })
+
+    await a.record.get('foo')
+    a.record.set('foo', { a: 1 })
+    server.disconnect()
+    await a.close()
+    server.close()
+
+    server = new MockServer({ features: [] })
+    const b = await connect({ cacheDb })
+    await waitFor(() => server.getRecord('foo'))
+    expect(server.getRecord('foo').data).toEqual({ a: 1 })
+    expect(b.record.stats.outbox).toBe(0)
+    expect(await outboxKeys(cacheDb)).toEqual([])
+  })
+
+  it('keeps the latest write per record in a bounded outbox', async () => {
+    const client = await connect({ outboxSize: 2 })
+    const errors = []
+    client.record.errors$.subscribe(err => errors.push(err))
+
+    for (const name of ['a', 'b', 'c']) {
+      await client.record.get(name)
+    }
+
+    client.record.set('a', { n: 1 })
+    client.record.set('a', { n: 2 })
+    client.record.set('a', { n: 3 })
+    expect(client.record.stats.outbox).toBe(1)
+
+    client.record.set('b', { n: 1 })
+    client.record.set('c', { n: 1 })
+    expect(client.record.stats.outbox).toBe(2)
+
+    await waitFor(() => client.record.stats.outbox === 0)
+    expect(server.getRecord('a').data).toEqual({ n: 3 })
+    expect(server.getRecord('b').data).toEqual({ n: 1 })
+    expect(server.getRecord('c').data).toEqual({ n: 1 })
+    expect(errors).toEqual([])
+  })
+
+  it('does not journal writes when the server does not acknowledge them', async () => {
+    server = new MockServer({ features: [] })
+    const client = await connect({ outboxSize: 5 })
+    const errors = []
+    client.record.errors$.subscribe(err => errors.push(err))
+
+    for (let n = 0; n < 8; n++) {
+      await client.record.get(`foo-${n}`)
+      client.record.set(`foo-${n}`, { n })
+    }
+    expect(client.record.stats.outbox).toBe(0)
+
+    await client.record.sync()
+    expect(server.getRecord('foo-7').data).toEqual({ n: 7 })
+    expect(errors).toEqual([])
+  })
+
+  it('compresses large messages', async () => {
+    server = new MockServer({ lz })
+
+    const frames = []
+    const transport = (url, options) => {
+      const endpoint = server.transport(url, options)
+      const send = endpoint.send
+      endpoint.send = data => {
+        frames.push(data)
+        send.call(endpoint, data)
+      }
+      return endpoint
+    }
+
+    const a = await connect({ lz, transport })
+    const b = await connect({ lz })
+
+    // NOTE: Larger than maxPacketSize before compression.
+    const data = { text: 'a'.repeat(300 * 1024) }
+    await a.record.set('foo', data, { ack: true })
+
+    expect(await b.record.get('foo')).toEqual(data)
+    expect(frames.some(frame => frame.startsWith('Z'))).toBe(true)
+    expect(frames.every(frame => frame.length < 1024)).toBe(true)
+  })
+  it('only compresses messages when it saves bytes', async () => {
+    server = new MockServer({ lz })
+
+    const frames = []
+    const transport = (url, options) => {
+      const endpoint = server.transport(url, options)
+      const send = endpoint.send
+      endpoint.send = data => {
+        frames.push(data)
+        send.call(endpoint, data)
+      }
+      return endpoint
+    }
+
+    const client = await connect({ lz, transport })
+
+    // NOTE: Fewer chars once compressed, but more bytes.
+    let seed = 1
+    const random = () => (seed = (seed * 16807) % 2147483647)
+    const data = { text: Array.from({ length: 4096 }, () => (random() % 36).toString(36)).join('') }
+    const compressed = lz.compressToUTF16(JSON.stringify(data))
+    expect(compressed.length).toBeLessThan(JSON.stringify(data).length)
+
+    await client.record.set('foo', data, { ack: true })
+    expect(server.getRecord('foo').data).toEqual(data)
+    expect(frames.some(frame => frame.startsWith('Z'))).toBe(false)
+  })
+
+  it('fragments oversized messages', async () => {
+    server = new MockServer({ maxPacketSize: 1024 })
+
+    const a = await connect({ maxPacketSize: 1024 })
+    const b = await connect({ maxPacketSize: 1024 })
+
+    const data = { items: Array.from({ length: 500 }, (_, n) => `item-${n}`) }
+    await a.record.set('foo', data, { ack: true })
+
+    expect(server.getRecord('foo').data).toEqual(data)
+    expect(await b.record.get('foo')).toEqual(data)
+    expect(a.stats.connection.fragmentsSent).toBeGreaterThan(1)
+    expect(b.stats.connection.fragmentsReceived).toBeGreaterThan(1)
+    expect(b.stats.connection.fragments).toBe(0)
+  })
+
+  it('rejects fragments with invalid headers', async () => {
+    let endpoint = null
+    const client = await connect({
+      maxFragments: 8,
+      transport: (url, options) => (endpoint = server.transport(url, options))
+    })
+
+    const errors = []
+    client.on('error', err => errors.push(err))
+
+    const fragment = (id, index, count, chunk) => endpoint.onmessage({
+      data: messageBuilder.getMsg(C.TOPIC.CONNECTION, C.ACTIONS.FRAGMENT, [id, index, count, chunk])
+    })
+    fragment('a', '0', '4294967295', 'x')
+    fragment('b', '0', '9', 'x')
+    fragment('c', '0', '1.5', 'x')
+    fragment('d', '', '2', 'x')
+    fragment('e', '2', '2', 'x')
+    fragment('f', '0', '2', 'x')
+    fragment('f', '1', '3', 'x')
+    await waitFor(() => errors.length === 6)
+
+    expect(errors.map(err => [err.code, err.message])).toEqual(
+      Array(6).fill([C.EVENT.MESSAGE_PARSE_ERROR, 'invalid fragment header'])
+    )
+    expect(client.stats.connection.fragments).toBe(1)
+    expect(client.stats.connection.fragmentsReceived).toBe(1)
+  })
+
+  it('fragments multi-byte messages that survive UTF-8 encoding', async () => {
+    server = new MockServer({ maxPacketSize: 1024 })
+
+    // NOTE: Like a websocket, text frames are UTF-8 encoded on the wire.
+    const encoder = new TextEncoder()
+    const decoder = new TextDecoder()
+    const frames = []
+    const transport = (url, options) => {
+      const endpoint = server.transport(url, options)
+      const send = endpoint.send
+      endpoint.send = data => {
+        const bytes = encoder.encode(data)
+        frames.push(bytes.length)
+        send.call(endpoint, decoder.decode(bytes))
+      }
+      let onmessage = null
+      Object.defineProperty(endpoint, 'onmessage', {
+        get: () => onmessage,
+        set: fn => {
+          onmessage = fn && (({ data }) => {
+            const bytes = encoder.encode(data)
+            frames.push(bytes.length)
+            fn({ data: decoder.decode(bytes) })
+          })
+        }
+      })
+      return endpoint
+    }
+
+    const a = await connect({ maxPacketSize: 1024, transport })
+    const b = await connect({ maxPacketSize: 1024, transport })
+
+    const data = { text: 'a' + '😀'.repeat(3000) + 'é€' }
+    await a.record.set('foo', data, { ack: true })
+
+    expect(server.getRecord('foo').data).toEqual(data)
+    expect(await b.record.get('foo')).toEqual(data)
+    expect(a.stats.connection.fragmentsSent).toBeGreaterThan(1)
+    expect(b.stats.connection.fragmentsReceived).toBeGreaterThan(1)
+    expect(Math.max(...frames)).toBeLessThanOrEqual(1024)
+  })
+
+  it('counts the bytes of frames as written and received', async () => {
+    server = new MockServer({ maxPacketSize: 1024, lz })
+
+    const encoder = new TextEncoder()
+    const wire = { sent: 0, received: 0 }
+    const transport = (url, options) => {
+      const endpoint = server.transport(url, options)
+      const send = endpoint.send
+      endpoint.send = data => {
+        wire.sent += encoder.encode(data).length
+        send.call(endpoint, data)
+      }
+      let onmessage = null
+      Object.defineProperty(endpoint, 'onmessage', {
+        get: () => onmessage,
+        set: fn => {
+          onmessage = fn && (event => {
+            wire.received += encoder.encode(event.data).length
+            fn(event)
+          })
+        }
+      })
+      return endpoint
+    }
+
+    const client = await connect({ maxPacketSize: 1024, lz, transport })
+
+    let seed = 1
+    const random = () => (seed = (seed * 16807) % 2147483647)
+    const text = Array.from({ length: 3000 }, () => String.fromCharCode(0xe0 + random() % 32)).join('')
+    await client.record.set('foo', { text }, { ack: true })
+    await client.record.set('bar', { text: 'x'.repeat(3000) }, { ack: true })
+    await client.record.get('baz')
+
+    const sum = bytes => Object.values(bytes).reduce((total, size) => total + size, 0)
+    const { bytesSent, bytesReceived } = client.stats.connection
+    expect(sum(bytesSent)).toBe(wire.sent)
+    expect(sum(bytesReceived)).toBe(wire.received)
+    expect(bytesSent[C.TOPIC.COMPRESSED]).toBeGreaterThan(0)
+    expect(bytesSent[C.TOPIC.CONNECTION]).toBeGreaterThan(0)
+    expect(bytesSent[C.TOPIC.RECORD]).toBeGreaterThan(0)
+    expect(client.stats.connection.fragmentsSent).toBeGreaterThan(1)
+  })
+
+  it('carries objects natively with msgpack', async () => {
+    server = new MockServer({ msgpack })
+
+    const a = await connect({ msgpack })
+    const b = await connect({ msgpack })
+    const c = await connect()
+
+    const value = { at: new Date(1e12), bytes: new Uint8Array([1, 2, 3]) }
+
+    const received = Promise.all([
+      new Promise(resolve => b.event.subscribe('foo', resolve)),
+      new Promise(resolve => c.event.subscribe('foo', resolve))
+    ])
+    b.rpc.provide('echo', data => data)
+    await b.record.sync()
+    await c.record.sync()
+
+    a.event.emit('foo', value)
+    const [binary, text] = await received
+    expect(binary).toEqual(value)
+    expect(text).toEqual({ at: value.at.toISOString(), bytes: { 0: 1, 1: 2, 2: 3 } })
+
+    expect(await a.rpc.make('echo', value)).toEqual(value)
+    expect(await c.rpc.make('echo', 'text')).toBe('text')
+  })
+
+  it('fails over to the next endpoint', async () => {
+    const servers = { a: server, b: new MockServer() }
+    const transport = (url, options) => servers[url.slice(5, 6)].transport(url, options)
+
+    const client = await connect({ transport, reconnectStrategy: () => 0 }, undefined, ['a:6020', 'b:6020'])
+    const changes = []
+    client.on('endpointChanged', event => changes.push(event))
+
+    servers.a.close()
+    await new Promise(resolve => client.on('connectionStateChanged', state => {
+      if (state === client.CONSTANTS.CONNECTION_STATE.OPEN) {
+        resolve()
+      }
+    }))
+
+    expect(changes).toEqual([{ url: 'ws://b:6020/', previousUrl: 'ws://a:6020/' }])
+    expect(servers.b.connections).toBe(1)
+    servers.b.close()
+  })
+
+  it('probes the connection when offline and reconnects when online', async () => {
+    const client = await connect({ reconnectStrategy: () => 60e3 })
+    const suspects = []
+    client.on('connectionSuspect', suspect => suspects.push(suspect))
+
+    window.dispatchEvent(new window.Event('offline'))
+    expect(suspects).toEqual([true])
+    await client.record.sync()
+    expect(suspects).toEqual([true, false])
+
+    const reconnecting = new Promise(resolve => client.on('reconnectScheduled', resolve))
+    server.disconnect()
+    await reconnecting
+
+    const opened = new Promise(resolve => client.on('connectionStateChanged', state => {
+      if (state === client.CONSTANTS.CONNECTION_STATE.OPEN) {
+        resolve()
+      }
+    }))
+    window.dispatchEvent(new window.Event('online'))
+    await opened
+  })
+
+  it('pauses heartbeats while the page is hidden', async () => {
+    const frames = []
+    const transport = (url, options) => {
+      const endpoint = server.transport(url, options)
+      const send = endpoint.send
+      endpoint.send = data => {
+        frames.push(data)
+        send.call(endpoint, data)
+      }
+      return endpoint
+    }
+    const ping = 'C\x1fPI\x1e'
+    const setVisibility = visibilityState => {
+      Object.defineProperty(document, 'visibilityState', { value: visibilityState, configurable: true })
+      document.dispatchEvent(new window.Event('visibilitychange'))
+    }
+
+    await connect({ transport, heartbeatInterval: 100 })
+    try {
+      setVisibility('hidden')
+      frames.length = 0
+      await new Promise(resolve => setTimeout(resolve, 150))
+      expect(frames).not.toContain(ping)
+
+      setVisibility('visible')
+      expect(frames).toContain(ping)
+    } finally {
+      delete document.visibilityState
+    }
+  })
+})
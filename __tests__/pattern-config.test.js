@@ -0,0 +1,22 @@
+const PatternConfig = require('../src/utils/pattern-config')
+
+describe('PatternConfig', () => {
+  it('returns the value of the last matching pattern that sets the key', () => {
+    const config = new PatternConfig()
+    config.add('^foo', { a: 1, b: 1 })
+    const remove = config.add(/^foo\/bar$/, { a: 2 })
+
+    expect(config.get('foo/bar', 'a')).toBe(2)
+    expect(config.get('foo/bar', 'b')).toBe(1)
+    expect(config.get('baz', 'a')).toBe(undefined)
+
+    remove()
+    expect(config.get('foo/bar', 'a')).toBe(1)
+  })
+
+  it('validates arguments', () => {
+    const config = new PatternConfig()
+    expect(() => config.add('', {})).toThrow('invalid argument pattern')
+    expect(() => config.add('foo', null)).toThrow('invalid argument config')
+  })
+})
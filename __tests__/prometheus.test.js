@@ -0,0 +1,49 @@
+const Histogram = require('../src/utils/histogram')
+const prometheus = require('../src/utils/prometheus')
+
+describe('Histogram', () => {
+  it('counts cumulatively', () => {
+    const histogram = new Histogram([10, 100])
+    for (const value of [5, 10, 50, 1000]) {
+      histogram.observe(value)
+    }
+    expect(histogram.toJSON()).toEqual({
+      count: 4,
+      sum: 1065,
+      buckets: [{ le: 10, count: 2 }, { le: 100, count: 3 }]
+    })
+  })
+})
+
+describe('format', () => {
+  it('formats counters, gauges and labelled histograms', () => {
+    const latency = new Histogram([10, 100])
+    latency.observe(50)
+
+    const text = prometheus.format({
+      connection: { reconnects: 2, queued: 1, bytesSent: { R: 10, 'a"b': 1 } },
+      rpc: { latency: { add: latency.toJSON() } }
+    }, { prefix: 'app' })
+
+    expect(text).toBe([
+      '# HELP app_connection_bytes_sent_total Message bytes sent',
+      '# TYPE app_connection_bytes_sent_total counter',
+      'app_connection_bytes_sent_total{topic="R"} 10',
+      'app_connection_bytes_sent_total{topic="a\\"b"} 1',
+      '# HELP app_connection_queued Messages queued while not connected',
+      '# TYPE app_connection_queued gauge',
+      'app_connection_queued 1',
+      '# HELP app_connection_reconnects_total Reconnection attempts',
+      '# TYPE app_connection_reconnects_total counter',
+      'app_connection_reconnects_total 2',
+      '# HELP app_rpc_latency_seconds Rpc round trip time',
+      '# TYPE app_rpc_latency_seconds histogram',
+      'app_rpc_latency_seconds_bucket{name="add",le="0.01"} 0',
+      'app_rpc_latency_seconds_bucket{name="add",le="0.1"} 1',
+      'app_rpc_latency_seconds_bucket{name="add",le="+Inf"} 1',
+      'app_rpc_latency_seconds_sum{name="add"} 0.05',
+      'app_rpc_latency_seconds_count{name="add"} 1',
+      ''
+    ].join('\n'))
+  })
+})
@@ -0,0 +1,24 @@
+const utils = require('../src/utils/utils')
+
+describe('byteLength', () => {
+  it('counts UTF-8 encoded bytes', () => {
+    for (const str of ['', 'abc', 'é', '€', '😀', 'a😀b€é', '\ud83d', '\ude00a', 'a\ud83d']) {
+      expect(utils.byteLength(str)).toBe(Buffer.byteLength(str, 'utf8'))
+    }
+  })
+})
+
+describe('splitBytes', () => {
+  it('splits into chunks of at most size bytes without splitting surrogate pairs', () => {
+    const str = 'a' + '😀'.repeat(10) + 'é€b'
+    for (const size of [1, 3, 4, 5, 7, 64]) {
+      const chunks = utils.splitBytes(str, size)
+      expect(chunks.join('')).toBe(str)
+      for (const chunk of chunks) {
+        expect(Buffer.from(chunk, 'utf8').toString('utf8')).toBe(chunk)
+        expect(Buffer.byteLength(chunk) <= size || chunk.length <= 2).toBe(true)
+      }
+    }
+    expect(utils.splitBytes('', 10)).toEqual([''])
+  })
+})
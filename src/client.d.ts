@@ -0,0 +1,181 @@
+import C = require('./constants/constants')
+import _EventHandler = require('./event/event-handler')
+import _RpcHandler = require('./rpc/rpc-handler')
+import _RecordHandler = require('./record/record-handler')
+import _Record = require('./record/record')
+import _errors = require('./utils/errors')
+import Histogram = require('./utils/histogram')
+import { Observable } from 'rxjs'
+
+declare namespace createDeepstream {
+  interface Logger {
+    trace (obj: unknown, msg?: string): void
+    debug? (obj: unknown, msg?: string): void
+    info? (obj: unknown, msg?: string): void
+    warn? (obj: unknown, msg?: string): void
+    error? (obj: unknown, msg?: string): void
+  }
+
+  interface Span {
+    setAttribute (key: string, value: unknown): unknown
+    setStatus (status: { code: number, message?: string }): unknown
+    recordException (err: unknown): unknown
+    end (): void
+  }
+
+  interface Tracer {
+    startSpan (name: string, options?: { attributes?: { [key: string]: unknown } }): Span
+  }
+
+  interface Endpoint {
+    readonly readyState: number
+    readonly OPEN: number
+    onopen: (() => void) | null
+    onerror: ((err: unknown) => void) | null
+    onclose: ((event: { code?: number, reason?: string }) => void) | null
+    onmessage: ((event: { data: string }) => void) | null
+    send (data: string): void
+    close (): Promise<void>
+  }
+
+  type Transport = (url: string, options: Options) => Endpoint
+
+  interface MessagePortLike {
+    postMessage (message: unknown): void
+  }
+
+  interface LZ {
+    compressToUTF16 (input: string): string
+    decompressFromUTF16 (compressed: string): string | null
+  }
+
+  interface MessagePack {
+    encode (value: unknown): Uint8Array
+    decode (data: Uint8Array): unknown
+  }
+
+  type ReconnectStrategy = (attempt: number, previousDelay: number) => number
+
+  interface Options {
+    heartbeatInterval?: number
+    reconnectIntervalIncrement?: number
+    maxReconnectInterval?: number
+    maxReconnectAttempts?: number
+    reconnectStrategy?: ReconnectStrategy | null
+    maxPacketSize?: number
+    fragmentTimeout?: number
+    maxFragments?: number
+    maxTransactionRetries?: number
+    outboxSize?: number
+    outboxMaxAge?: number
+    deltaUpdates?: boolean
+    cacheFilter?: (name: string, version: string, data: unknown) => boolean
+    cacheDb?: unknown
+    lz?: LZ | null
+    lzThreshold?: number
+    msgpack?: MessagePack | null
+    schedule?: ((fn: () => void) => void) | null
+    cacheSize?: number
+    logger?: Logger | null
+    tracer?: Tracer | null
+    path?: string
+    transport?: Transport | null
+    errorPolicy?: 'log' | 'throw' | 'ignore'
+    networkEvents?: boolean
+    authProvider?: (() => object | Promise<object>) | null
+    tokenExpiry?: ((authParams: object, authData: any) => number | null | undefined) | null
+    tokenRefreshMargin?: number
+  }
+
+  export import EventHandler = _EventHandler
+  export import RpcHandler = _RpcHandler
+  export import RecordHandler = _RecordHandler
+  export import Record = _Record
+
+  interface ConnectionStats {
+    fragmentsSent: number
+    fragmentsReceived: number
+    fragmentTimeouts: number
+    fragments: number
+    reconnects: number
+    queued: number
+    bytesSent: { [topic: string]: number }
+    bytesReceived: { [topic: string]: number }
+    heartbeatRtt: Histogram.Snapshot
+  }
+
+  interface Stats {
+    connection: ConnectionStats
+    record: RecordHandler.Stats
+    rpc: RpcHandler.Stats
+    event: EventHandler.Stats
+  }
+
+  type ConnectionState = typeof C.CONNECTION_STATE[keyof typeof C.CONNECTION_STATE]
+
+  type DeepstreamError = _errors.DeepstreamError
+
+  class Client {
+    readonly event: EventHandler
+    readonly rpc: RpcHandler
+    readonly record: RecordHandler
+    readonly stats: Stats
+    readonly errors$: Observable<DeepstreamError>
+    readonly CONSTANTS: typeof C
+    user: string | null
+
+    nuid (): string
+    toPrometheus (options?: { prefix?: string }): string
+
+    login (callback: (success: boolean, authData: any) => void): this
+    login (authParams: object, callback: (success: boolean, authData: any) => void): this
+    login (authParams?: object): Promise<any>
+    connected (): Promise<void>
+    reauthenticate (callback?: (success: boolean, authData: any) => void): this
+    reauthenticate (authParams: object, callback?: (success: boolean, authData: any) => void): this
+
+    close (): Promise<void>
+    reconnectNow (): void
+    getConnectionState (): ConnectionState
+    isSameOrNewer (a: string | null, b: string | null): boolean
+
+    on (event: 'error', callback: (err: DeepstreamError) => void): this
+    on (event: 'connectionStateChanged', callback: (state: ConnectionState) => void): this
+    on (event: 'reconnectScheduled', callback: (event: { attempt: number, delay: number }) => void): this
+    on (event: 'tokenExpiring', callback: (event: { expiresAt: number }) => void): this
+    on (event: 'connectionSuspect', callback: (suspect: boolean) => void): this
+    on (event: 'endpointChanged', callback: (event: { url: string, previousUrl: string | null }) => void): this
+    on (event: string, callback: (...args: any[]) => void): this
+    once (event: string, callback: (...args: any[]) => void): this
+    off (event?: string, callback?: (...args: any[]) => void): this
+    emit (event: string, ...args: any[]): this
+    hasListeners (event: string): boolean
+  }
+}
+
+declare function createDeepstream (url: string | string[] | (() => string | string[]), options?: createDeepstream.Options): createDeepstream.Client
+
+declare namespace createDeepstream {
+  const CONSTANTS: typeof C
+  const errors: typeof _errors
+  const backoff: {
+    linear (options?: { increment?: number, max?: number }): ReconnectStrategy
+    exponential (options?: {
+      base?: number
+      factor?: number
+      max?: number
+      jitter?: 'none' | 'full' | 'decorrelated'
+      random?: () => number
+    }): ReconnectStrategy
+  }
+  const transports: {
+    websocket: Transport
+    loopback (onConnection: (peer: Endpoint) => void): Transport
+    messagePort: {
+      (port: MessagePortLike): Transport
+      relay (port: MessagePortLike, transport?: Transport, options?: Options): () => void
+    }
+  }
+}
+
+export = createDeepstream
@@ -6,12 +6,27 @@ const RpcHandler = require('./rpc/rpc-handler')
 const RecordHandler = require('./record/record-handler')
 const defaultOptions = require('./default-options')
 const xuid = require('xuid')
+const { Subject } = require('rxjs')
 const utils = require('./utils/utils')
+const websocket = require('./transport/websocket')
+const loopback = require('./transport/loopback')
+const messagePort = require('./transport/message-port')
+const backoff = require('./utils/backoff')
+const errors = require('./utils/errors')
+const createLogger = require('./utils/logger')
+const prometheus = require('./utils/prometheus')
+
+// NOTE: Authentication which failed as the connection, rather than the credentials, did.
+const CONNECTION_AUTH_ERRORS = [C.EVENT.IS_CLOSED, C.EVENT.CONNECTION_AUTHENTICATION_TIMEOUT]
 
 const Client = function (url, options) {
   this._url = url
   this._options = this._getOptions(options || {})
 
+  this._errors = new Subject()
+  this._topicErrors = new Map()
+  this.errors$ = this._errors.asObservable()
+
   this._connection = new Connection(this, this._url, this._options)
 
   this.nuid = xuid
@@ -32,6 +47,7 @@ Emitter(Client.prototype)
 Object.defineProperty(Client.prototype, 'stats', {
   get: function stats () {
     return {
+      connection: this._connection.stats,
       record: this.record.stats,
       rpc: this.rpc.stats,
       event: this.event.stats
@@ -39,24 +55,117 @@ Object.defineProperty(Client.prototype, 'stats', {
   }
 })
 
+Client.prototype.toPrometheus = function (options) {
+  return prometheus.format(this.stats, options)
+}
+
 Client.prototype.login = function (authParamsOrCallback, callback) {
   if (typeof authParamsOrCallback === 'function') {
-    this._connection.authenticate({}, (success, authData) => {
-      this.user = authData ? authData.id : null
-      authParamsOrCallback(success, authData)
-    })
-  } else {
-    this._connection.authenticate(authParamsOrCallback || {}, (success, authData) => {
-      this.user = authData ? authData.id : null
-      callback(success, authData)
+    callback = authParamsOrCallback
+    authParamsOrCallback = null
+  }
+
+  // NOTE: Without a callback a promise is returned, which settles on the first
+  // authentication or once the connection is closed.
+  let promise = null
+  if (!callback) {
+    promise = new Promise((resolve, reject) => {
+      const settle = (success, authData, code) => {
+        this.off(C.EVENT.CONNECTION_STATE_CHANGED, onStateChanged)
+        if (success) {
+          resolve(authData)
+        } else {
+          const message = typeof authData === 'string' ? authData : 'authentication failed'
+          const Type = CONNECTION_AUTH_ERRORS.includes(code) ? errors.ConnectionError : errors.AuthError
+          reject(new Type(message, code, authData))
+        }
+      }
+      const onStateChanged = state => {
+        if (state === C.CONNECTION_STATE.CLOSED) {
+          settle(false, 'this client\'s connection was closed', C.EVENT.IS_CLOSED)
+        }
+      }
+      callback = settle
+      this.on(C.EVENT.CONNECTION_STATE_CHANGED, onStateChanged)
     })
   }
 
+  this._connection.authenticate(authParamsOrCallback || {}, (success, authData, code) => {
+    this.user = authData ? authData.id : null
+    callback(success, authData, code)
+  })
+
+  return promise || this
+}
+
+Client.prototype.connected = function () {
+  if (this.getConnectionState() === C.CONNECTION_STATE.OPEN) {
+    return Promise.resolve()
+  } else if (this._connection.isClosed()) {
+    return Promise.reject(new errors.ConnectionError('this client\'s connection was closed', C.EVENT.IS_CLOSED))
+  }
+
+  return new Promise((resolve, reject) => {
+    const onStateChanged = state => {
+      if (state === C.CONNECTION_STATE.OPEN) {
+        this.off(C.EVENT.CONNECTION_STATE_CHANGED, onStateChanged)
+        resolve()
+      } else if (state === C.CONNECTION_STATE.CLOSED) {
+        this.off(C.EVENT.CONNECTION_STATE_CHANGED, onStateChanged)
+        reject(new errors.ConnectionError('this client\'s connection was closed', C.EVENT.IS_CLOSED))
+      }
+    }
+    this.on(C.EVENT.CONNECTION_STATE_CHANGED, onStateChanged)
+  })
+}
+
+Client.prototype.reauthenticate = function (authParamsOrCallback, callback) {
+  if (typeof authParamsOrCallback === 'function') {
+    callback = authParamsOrCallback
+    authParamsOrCallback = null
+  }
+
+  // NOTE: client.user is updated through the login callback.
+  this._connection.reauthenticate(authParamsOrCallback, callback)
+
   return this
 }
 
 Client.prototype.close = function () {
-  this._connection.close()
+  if (this.getConnectionState() === C.CONNECTION_STATE.CLOSED) {
+    this._connection.close()
+    return Promise.resolve()
+  }
+
+  return new Promise(resolve => {
+    let closing = false
+    const close = () => {
+      if (!closing) {
+        closing = true
+        this._connection.close()
+      }
+    }
+    const onStateChanged = state => {
+      if (state === C.CONNECTION_STATE.CLOSED) {
+        this.off(C.EVENT.CONNECTION_STATE_CHANGED, onStateChanged)
+        resolve()
+      } else if (state !== C.CONNECTION_STATE.OPEN) {
+        // NOTE: Flushing is abandoned if the connection is lost meanwhile, the outbox keeps unconfirmed writes.
+        close()
+      }
+    }
+    this.on(C.EVENT.CONNECTION_STATE_CHANGED, onStateChanged)
+
+    if (this.getConnectionState() === C.CONNECTION_STATE.OPEN) {
+      this.record._$flush().then(close)
+    } else {
+      close()
+    }
+  })
+}
+
+Client.prototype.reconnectNow = function () {
+  this._connection.reconnectNow()
 }
 
 Client.prototype.getConnectionState = function () {
@@ -80,19 +189,47 @@ Client.prototype._$onMessage = function (message) {
   }
 }
 
+Client.prototype._$errors = function (topic) {
+  let subject = this._topicErrors.get(topic)
+  if (!subject) {
+    subject = new Subject()
+    this._topicErrors.set(topic, subject)
+  }
+  return subject.asObservable()
+}
+
 Client.prototype._$onError = function (topic, event, msgOrError, data) {
-  const error = msgOrError && msgOrError.message ? msgOrError : new Error(msgOrError)
-  error.topic = topic
-  error.event = event
-  error.data = data
+  const error = errors.create(topic, event, msgOrError, data)
+  const topicErrors = this._topicErrors.get(error.topic)
+
+  let handled = this._errors.observers.length > 0 || Boolean(topicErrors && topicErrors.observers.length > 0)
+  this._errors.next(error)
+  if (topicErrors) {
+    topicErrors.next(error)
+  }
 
   if (this.hasListeners('error')) {
+    handled = true
     this.emit('error', error)
     this.emit(event, error)
-  } else {
+  }
+
+  const logger = this._options.logger
+  if (logger) {
+    logger.error({ err: error, topic: error.topic, code: error.code }, error.message)
+  }
+
+  if (handled) {
+    return
+  }
+
+  // NOTE: Errors are often raised while processing messages, where throwing would crash the process.
+  if (this._options.errorPolicy === 'throw') {
     console.log('--- You can catch all deepstream errors by subscribing to the error event ---')
 
     throw error
+  } else if (this._options.errorPolicy === 'log' && !logger) {
+    console.error(error)
   }
 }
 
@@ -111,6 +248,8 @@ Client.prototype._getOptions = function (options) {
     }
   }
 
+  mergedOptions.logger = createLogger(mergedOptions.logger)
+
   return mergedOptions
 }
 
@@ -121,5 +260,12 @@ function createDeepstream (url, options) {
 Client.prototype.isSameOrNewer = utils.isSameOrNewer
 Client.prototype.CONSTANTS = C
 createDeepstream.CONSTANTS = C
+createDeepstream.transports = {
+  websocket,
+  loopback,
+  messagePort
+}
+createDeepstream.backoff = backoff
+createDeepstream.errors = errors
 
 module.exports = createDeepstream
@@ -0,0 +1,125 @@
+export const CONNECTION_STATE: {
+  readonly CLOSED: 'CLOSED'
+  readonly AWAITING_CONNECTION: 'AWAITING_CONNECTION'
+  readonly CHALLENGING: 'CHALLENGING'
+  readonly AWAITING_AUTHENTICATION: 'AWAITING_AUTHENTICATION'
+  readonly AUTHENTICATING: 'AUTHENTICATING'
+  readonly OPEN: 'OPEN'
+  readonly ERROR: 'ERROR'
+  readonly RECONNECTING: 'RECONNECTING'
+}
+
+export const RECORD_STATE: {
+  readonly VOID: 0
+  readonly CLIENT: 1
+  readonly SERVER: 2
+  readonly PROVIDER: 3
+}
+
+export const MERGE_STRATEGY: {
+  readonly LAST_WRITER_WINS: 'lww'
+  readonly THREE_WAY: 'three-way'
+}
+
+export const FEATURE: {
+  readonly DELTA: 'delta'
+  readonly LZ: 'lz'
+  readonly FRAGMENT: 'fragment'
+  readonly MSGPACK: 'msgpack'
+  readonly CANCEL: 'cancel'
+  readonly WRITE_ACK: 'ack'
+  readonly CONDITIONAL_UPDATE: 'conditional'
+  readonly REAUTHENTICATE: 'reauth'
+  readonly BATCH: 'batch'
+}
+export const MESSAGE_SEPERATOR: '\u001e'
+export const MESSAGE_PART_SEPERATOR: '\u001f'
+
+export const TYPES: {
+  readonly STRING: 'S'
+  readonly OBJECT: 'O'
+  readonly NUMBER: 'N'
+  readonly NULL: 'L'
+  readonly TRUE: 'T'
+  readonly FALSE: 'F'
+  readonly UNDEFINED: 'U'
+}
+
+export const TOPIC: {
+  readonly CONNECTION: 'C'
+  readonly AUTH: 'A'
+  readonly ERROR: 'X'
+  readonly EVENT: 'E'
+  readonly RECORD: 'R'
+  readonly RPC: 'P'
+  readonly COMPRESSED: 'Z'
+  readonly PRIVATE: 'PRIVATE/'
+}
+
+export const EVENT: {
+  readonly CONNECTION_ERROR: 'connectionError'
+  readonly CONNECTION_STATE_CHANGED: 'connectionStateChanged'
+  readonly RECONNECT_SCHEDULED: 'reconnectScheduled'
+  readonly ENDPOINT_CHANGED: 'endpointChanged'
+  readonly CONNECTION_SUSPECT: 'connectionSuspect'
+  readonly TOKEN_EXPIRING: 'tokenExpiring'
+  readonly MAX_RECONNECTION_ATTEMPTS_REACHED: 'MAX_RECONNECTION_ATTEMPTS_REACHED'
+  readonly CONNECTION_AUTHENTICATION_TIMEOUT: 'CONNECTION_AUTHENTICATION_TIMEOUT'
+  readonly NO_RPC_PROVIDER: 'NO_RPC_PROVIDER'
+  readonly RPC_ERROR: 'RPC_ERROR'
+  readonly TIMEOUT: 'TIMEOUT'
+  readonly UNSOLICITED_MESSAGE: 'UNSOLICITED_MESSAGE'
+  readonly MESSAGE_DENIED: 'MESSAGE_DENIED'
+  readonly MESSAGE_PARSE_ERROR: 'MESSAGE_PARSE_ERROR'
+  readonly NOT_AUTHENTICATED: 'NOT_AUTHENTICATED'
+  readonly MESSAGE_PERMISSION_ERROR: 'MESSAGE_PERMISSION_ERROR'
+  readonly LISTENER_EXISTS: 'LISTENER_EXISTS'
+  readonly PROVIDER_ERROR: 'PROVIDER_ERROR'
+  readonly CACHE_ERROR: 'CACHE_ERROR'
+  readonly UPDATE_ERROR: 'UPDATE_ERROR'
+  readonly USER_ERROR: 'USER_ERROR'
+  readonly REF_ERROR: 'REF_ERROR'
+  readonly PROVIDER_EXISTS: 'PROVIDER_EXISTS'
+  readonly NOT_LISTENING: 'NOT_LISTENING'
+  readonly NOT_PROVIDING: 'NOT_PROVIDING'
+  readonly LISTENER_ERROR: 'LISTENER_ERROR'
+  readonly TOO_MANY_AUTH_ATTEMPTS: 'TOO_MANY_AUTH_ATTEMPTS'
+  readonly AUTH_PROVIDER_ERROR: 'AUTH_PROVIDER_ERROR'
+  readonly INVALID_AUTHENTICATION_DETAILS: 'INVALID_AUTHENTICATION_DETAILS'
+  readonly IS_CLOSED: 'IS_CLOSED'
+  readonly RECORD_NOT_FOUND: 'RECORD_NOT_FOUND'
+  readonly NOT_SUBSCRIBED: 'NOT_SUBSCRIBED'
+  readonly VERSION_EXISTS: 'VERSION_EXISTS'
+}
+
+export const ACTIONS: {
+  readonly PING: 'PI'
+  readonly PONG: 'PO'
+  readonly ACK: 'A'
+  readonly REDIRECT: 'RED'
+  readonly CHALLENGE: 'CH'
+  readonly CHALLENGE_RESPONSE: 'CHR'
+  readonly READ: 'R'
+  readonly UPDATE: 'U'
+  readonly UPDATE_DELTA: 'UD'
+  readonly UPDATE_CONDITIONAL: 'UC'
+  readonly UPDATE_BATCH: 'UB'
+  readonly SUBSCRIBE: 'S'
+  readonly SYNC: 'SY'
+  readonly UNSUBSCRIBE: 'US'
+  readonly SUBSCRIPTION_FOR_PATTERN_FOUND: 'SP'
+  readonly SUBSCRIPTION_FOR_PATTERN_REMOVED: 'SR'
+  readonly SUBSCRIPTION_HAS_PROVIDER: 'SH'
+  readonly LISTEN: 'L'
+  readonly UNLISTEN: 'UL'
+  readonly LISTEN_ACCEPT: 'LA'
+  readonly LISTEN_REJECT: 'LR'
+  readonly EVENT: 'EVT'
+  readonly ERROR: 'E'
+  readonly REQUEST: 'REQ'
+  readonly RESPONSE: 'RES'
+  readonly REJECTION: 'REJ'
+  readonly FRAGMENT: 'FR'
+  readonly CANCEL: 'CAN'
+  readonly WRITE_ACKNOWLEDGEMENT: 'WA'
+}
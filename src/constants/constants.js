@@ -15,6 +15,21 @@ module.exports.RECORD_STATE.CLIENT = 1
 module.exports.RECORD_STATE.SERVER = 2
 module.exports.RECORD_STATE.PROVIDER = 3
 
+module.exports.MERGE_STRATEGY = {}
+module.exports.MERGE_STRATEGY.LAST_WRITER_WINS = 'lww'
+module.exports.MERGE_STRATEGY.THREE_WAY = 'three-way'
+
+module.exports.FEATURE = {}
+module.exports.FEATURE.DELTA = 'delta'
+module.exports.FEATURE.LZ = 'lz'
+module.exports.FEATURE.FRAGMENT = 'fragment'
+module.exports.FEATURE.MSGPACK = 'msgpack'
+module.exports.FEATURE.CANCEL = 'cancel'
+module.exports.FEATURE.WRITE_ACK = 'ack'
+module.exports.FEATURE.CONDITIONAL_UPDATE = 'conditional'
+module.exports.FEATURE.REAUTHENTICATE = 'reauth'
+module.exports.FEATURE.BATCH = 'batch'
+
 module.exports.MESSAGE_SEPERATOR = String.fromCharCode(30) // ASCII Record Seperator 1E
 module.exports.MESSAGE_PART_SEPERATOR = String.fromCharCode(31) // ASCII Unit Separator 1F
 
@@ -34,11 +49,16 @@ module.exports.TOPIC.ERROR = 'X'
 module.exports.TOPIC.EVENT = 'E'
 module.exports.TOPIC.RECORD = 'R'
 module.exports.TOPIC.RPC = 'P'
+module.exports.TOPIC.COMPRESSED = 'Z'
 module.exports.TOPIC.PRIVATE = 'PRIVATE/'
 
 module.exports.EVENT = {}
 module.exports.EVENT.CONNECTION_ERROR = 'connectionError'
 module.exports.EVENT.CONNECTION_STATE_CHANGED = 'connectionStateChanged'
+module.exports.EVENT.RECONNECT_SCHEDULED = 'reconnectScheduled'
+module.exports.EVENT.ENDPOINT_CHANGED = 'endpointChanged'
+module.exports.EVENT.CONNECTION_SUSPECT = 'connectionSuspect'
+module.exports.EVENT.TOKEN_EXPIRING = 'tokenExpiring'
 module.exports.EVENT.MAX_RECONNECTION_ATTEMPTS_REACHED = 'MAX_RECONNECTION_ATTEMPTS_REACHED'
 module.exports.EVENT.CONNECTION_AUTHENTICATION_TIMEOUT = 'CONNECTION_AUTHENTICATION_TIMEOUT'
 module.exports.EVENT.NO_RPC_PROVIDER = 'NO_RPC_PROVIDER'
@@ -60,9 +80,12 @@ module.exports.EVENT.NOT_LISTENING = 'NOT_LISTENING'
 module.exports.EVENT.NOT_PROVIDING = 'NOT_PROVIDING'
 module.exports.EVENT.LISTENER_ERROR = 'LISTENER_ERROR'
 module.exports.EVENT.TOO_MANY_AUTH_ATTEMPTS = 'TOO_MANY_AUTH_ATTEMPTS'
+module.exports.EVENT.AUTH_PROVIDER_ERROR = 'AUTH_PROVIDER_ERROR'
+module.exports.EVENT.INVALID_AUTHENTICATION_DETAILS = 'INVALID_AUTHENTICATION_DETAILS'
 module.exports.EVENT.IS_CLOSED = 'IS_CLOSED'
 module.exports.EVENT.RECORD_NOT_FOUND = 'RECORD_NOT_FOUND'
 module.exports.EVENT.NOT_SUBSCRIBED = 'NOT_SUBSCRIBED'
+module.exports.EVENT.VERSION_EXISTS = 'VERSION_EXISTS'
 
 module.exports.ACTIONS = {}
 module.exports.ACTIONS.PING = 'PI'
@@ -73,6 +96,9 @@ module.exports.ACTIONS.CHALLENGE = 'CH'
 module.exports.ACTIONS.CHALLENGE_RESPONSE = 'CHR'
 module.exports.ACTIONS.READ = 'R'
 module.exports.ACTIONS.UPDATE = 'U'
+module.exports.ACTIONS.UPDATE_DELTA = 'UD'
+module.exports.ACTIONS.UPDATE_CONDITIONAL = 'UC'
+module.exports.ACTIONS.UPDATE_BATCH = 'UB'
 module.exports.ACTIONS.SUBSCRIBE = 'S'
 module.exports.ACTIONS.SYNC = 'SY'
 module.exports.ACTIONS.UNSUBSCRIBE = 'US'
@@ -88,3 +114,6 @@ module.exports.ACTIONS.ERROR = 'E'
 module.exports.ACTIONS.REQUEST = 'REQ'
 module.exports.ACTIONS.RESPONSE = 'RES'
 module.exports.ACTIONS.REJECTION = 'REJ'
+module.exports.ACTIONS.FRAGMENT = 'FR'
+module.exports.ACTIONS.CANCEL = 'CAN'
+module.exports.ACTIONS.WRITE_ACKNOWLEDGEMENT = 'WA'
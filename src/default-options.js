@@ -3,14 +3,30 @@ module.exports = {
   reconnectIntervalIncrement: 1e3,
   maxReconnectInterval: 6e3,
   maxReconnectAttempts: Infinity,
+  reconnectStrategy: null,
   maxPacketSize: 256 * 1024,
+  fragmentTimeout: 60e3,
+  maxFragments: 1024,
+  maxTransactionRetries: 8,
+  outboxSize: 1024,
+  outboxMaxAge: 24 * 60 * 60e3,
+  deltaUpdates: false,
   cacheFilter: (name, version, data) => {
     return /^[^{]/.test(name) && /^[^0]/.test(version)
   },
   cacheDb: null,
   lz: null,
+  lzThreshold: 1024,
+  msgpack: null,
   schedule: null,
   cacheSize: 1024,
   logger: null,
+  tracer: null,
+  transport: null,
+  networkEvents: true,
+  authProvider: null,
+  tokenExpiry: null,
+  tokenRefreshMargin: 60e3,
+  errorPolicy: 'log',
   path: '/deepstream'
 }
@@ -0,0 +1,24 @@
+import { Observable } from 'rxjs'
+import { DeepstreamError } from '../utils/errors'
+
+declare namespace EventHandler {
+  interface Stats {
+    emitted: number
+    listeners: number
+    events: number
+  }
+}
+
+declare class EventHandler {
+  readonly connected: boolean
+  readonly stats: EventHandler.Stats
+  readonly errors$: Observable<DeepstreamError>
+
+  subscribe (name: string, callback: (data: any) => void): void
+  unsubscribe (name: string, callback?: (data: any) => void): void
+  observe<T = any> (name: string): Observable<T>
+  emit (name: string, data?: unknown): void
+  provide (pattern: string, callback: (name: string) => any): (() => void) | undefined
+}
+
+export = EventHandler
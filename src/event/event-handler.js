@@ -1,4 +1,3 @@
-const messageBuilder = require('../message/message-builder')
 const messageParser = require('../message/message-parser')
 const C = require('../constants/constants')
 const Listener = require('../utils/listener')
@@ -9,12 +8,15 @@ const EventHandler = function (options, connection, client) {
   this._options = options
   this._connection = connection
   this._client = client
+  this._logger = options.logger
   this._emitter = new EventEmitter()
   this._listeners = new Map()
   this._stats = {
     emitted: 0
   }
 
+  this.errors$ = client._$errors(C.TOPIC.EVENT)
+
   this._handleConnectionStateChange = this._handleConnectionStateChange.bind(this)
 
   this._client.on('connectionStateChanged', this._handleConnectionStateChange)
@@ -44,8 +46,13 @@ EventHandler.prototype.subscribe = function (name, callback) {
     throw new Error('invalid argument callback')
   }
 
-  if (!this._emitter.hasListeners(name) && this.connected) {
-    this._connection.sendMsg(C.TOPIC.EVENT, C.ACTIONS.SUBSCRIBE, [name])
+  if (!this._emitter.hasListeners(name)) {
+    if (this._logger) {
+      this._logger.debug({ name }, 'event subscribe')
+    }
+    if (this.connected) {
+      this._connection.sendMsg(C.TOPIC.EVENT, C.ACTIONS.SUBSCRIBE, [name])
+    }
   }
 
   this._emitter.on(name, callback)
@@ -61,8 +68,13 @@ EventHandler.prototype.unsubscribe = function (name, callback) {
 
   this._emitter.off(name, callback)
 
-  if (!this._emitter.hasListeners(name) && this.connected) {
-    this._connection.sendMsg(C.TOPIC.EVENT, C.ACTIONS.UNSUBSCRIBE, [name])
+  if (!this._emitter.hasListeners(name)) {
+    if (this._logger) {
+      this._logger.debug({ name }, 'event unsubscribe')
+    }
+    if (this.connected) {
+      this._connection.sendMsg(C.TOPIC.EVENT, C.ACTIONS.UNSUBSCRIBE, [name])
+    }
   }
 }
 
@@ -82,7 +94,11 @@ EventHandler.prototype.emit = function (name, data) {
     throw new Error('invalid argument name')
   }
 
-  this._connection.sendMsg(C.TOPIC.EVENT, C.ACTIONS.EVENT, [name, messageBuilder.typed(data)])
+  if (this._logger) {
+    this._logger.trace({ name }, 'event emit')
+  }
+
+  this._connection.sendTypedMsg(C.TOPIC.EVENT, C.ACTIONS.EVENT, [name], data)
   this._emitter.emit(name, data)
   this._stats.emitted += 1
 }
@@ -104,9 +120,6 @@ EventHandler.prototype.provide = function (pattern, callback) {
     C.TOPIC.EVENT,
     pattern,
     callback,
-    this._options,
-    this._client,
-    this._connection,
     this
   )
 
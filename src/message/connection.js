@@ -1,23 +1,49 @@
-const BrowserWebSocket = global.WebSocket || global.MozWebSocket
-const NodeWebSocket = require('ws')
+const websocket = require('../transport/websocket')
 const messageParser = require('./message-parser')
 const messageBuilder = require('./message-builder')
+const Endpoints = require('./endpoints')
 const utils = require('../utils/utils')
+const backoff = require('../utils/backoff')
+const network = require('../utils/network')
+const Histogram = require('../utils/histogram')
 const C = require('../constants/constants')
 const pkg = require('../../package.json')
 
+const COMPRESSED_PREFIX = C.TOPIC.COMPRESSED + C.MESSAGE_PART_SEPERATOR
+// NOTE: Room left in each fragment for the C|FR|id|index|count| header.
+const FRAGMENT_HEADER_SIZE = 64
+const MAX_TIMEOUT = 2 ** 31 - 1
+
 const Connection = function (client, url, options) {
   this._client = client
   this._options = options
   this._logger = options.logger
   this._authParams = null
   this._authCallback = null
+  this._authRequest = 0
+  this._reauthCallbacks = []
+  this._tokenTimeout = null
   this._deliberateClose = false
   this._redirecting = false
   this._tooManyAuthAttempts = false
   this._connectionAuthenticationTimeout = false
   this._challengeDenied = false
+  this._features = new Set()
   this._queuedMessages = []
+  this._corked = 0
+  this._corkedMessages = []
+  this._fragments = new Map()
+  this._fragmentCounter = 0
+  this._stats = {
+    fragmentsSent: 0,
+    fragmentsReceived: 0,
+    fragmentTimeouts: 0,
+    reconnects: 0,
+    bytesSent: {},
+    bytesReceived: {}
+  }
+  this._heartbeatRtt = new Histogram()
+  this._pingSent = null
   this._message = {
     raw: null,
     topic: null,
@@ -28,31 +54,67 @@ const Connection = function (client, url, options) {
   this._messagesIndex = 0
   this._reconnectTimeout = null
   this._reconnectionAttempt = 0
+  this._reconnectDelay = 0
+  // NOTE: Jittered so that clients don't reconnect in lockstep after e.g. a server restart.
+  this._reconnectStrategy = options.reconnectStrategy || backoff.exponential({
+    base: options.reconnectIntervalIncrement,
+    max: options.maxReconnectInterval,
+    jitter: 'full'
+  })
   this._messageSender = null
   this._endpoint = null
   this._lastHeartBeat = null
   this._heartbeatInterval = null
+  this._suspect = false
+  this._visible = network.isVisible()
+  this._unwatchNetwork = null
 
   this._processMessages = this._processMessages.bind(this)
   this._processing = false
 
-  this._originalUrl = utils.parseUrl(url, this._options.path)
+  this._endpoints = new Endpoints(url, this._options.path)
+  this._originalUrl = this._endpoints.next()
   this._url = this._originalUrl
+  this._activeUrl = null
+  this._opened = false
 
   this._state = C.CONNECTION_STATE.CLOSED
   this._createEndpoint()
 }
 
+Object.defineProperty(Connection.prototype, 'stats', {
+  get: function stats () {
+    return {
+      ...this._stats,
+      bytesSent: { ...this._stats.bytesSent },
+      bytesReceived: { ...this._stats.bytesReceived },
+      fragments: this._fragments.size,
+      queued: this._queuedMessages.length + this._corkedMessages.length,
+      heartbeatRtt: this._heartbeatRtt.toJSON()
+    }
+  }
+})
+
 Connection.prototype.getState = function () {
   return this._state
 }
 
+Connection.prototype.isClosed = function () {
+  // NOTE: The state is also CLOSED before the first connection attempt opens.
+  return this._deliberateClose && this._state === C.CONNECTION_STATE.CLOSED
+}
+
+Connection.prototype.hasFeature = function (feature) {
+  return this._features.has(feature)
+}
+
 Connection.prototype.authenticate = function (authParams, callback) {
   this._authParams = authParams
   this._authCallback = callback
 
   if (this._tooManyAuthAttempts || this._challengeDenied || this._connectionAuthenticationTimeout) {
     const err = new Error('this client\'s connection was closed')
+    this._onAuthFailed(err.message, C.EVENT.IS_CLOSED)
     this._client._$onError(C.TOPIC.ERROR, C.EVENT.IS_CLOSED, err)
     return
   } else if (this._deliberateClose === true && this._state === C.CONNECTION_STATE.CLOSED) {
@@ -66,8 +128,27 @@ Connection.prototype.authenticate = function (authParams, callback) {
   }
 }
 
+Connection.prototype.reauthenticate = function (authParams, callback) {
+  if (authParams) {
+    this._authParams = authParams
+  }
+  if (callback) {
+    this._reauthCallbacks.push(callback)
+  }
+
+  // NOTE: Otherwise the new params are used by the next authentication, e.g. after
+  // reconnecting, which is also when the callback is called. Servers which don't
+  // support it only expect an auth request before the connection is open.
+  if (this._authParams && (
+    (this._state === C.CONNECTION_STATE.OPEN && this.hasFeature(C.FEATURE.REAUTHENTICATE)) ||
+    this._state === C.CONNECTION_STATE.AWAITING_AUTHENTICATION
+  )) {
+    this._sendAuthParams()
+  }
+}
+
 Connection.prototype.sendMsg = function (topic, action, data) {
-  this.send(messageBuilder.getMsg(topic, action, data))
+  return this.send(messageBuilder.getMsg(topic, action, data))
 }
 
 Connection.prototype.sendMsg1 = function (topic, action, p0) {
@@ -78,30 +159,103 @@ Connection.prototype.sendMsg2 = function (topic, action, p0, p1) {
   this.send(messageBuilder.getMsg2(topic, action, p0, p1))
 }
 
+Connection.prototype.sendTypedMsg = function (topic, action, data, value) {
+  // NOTE: Objects are carried natively in binary messages so that e.g. dates and
+  // buffers survive. Everything else, and anything queued or corked, is sent as text.
+  if (
+    value !== null &&
+    typeof value === 'object' &&
+    this._corked === 0 &&
+    this._state === C.CONNECTION_STATE.OPEN &&
+    this.hasFeature(C.FEATURE.MSGPACK)
+  ) {
+    const message = this._options.msgpack.encode([[topic, action, ...data, value]])
+    if (message.length <= this._options.maxPacketSize) {
+      this._write(message, topic)
+      return
+    }
+  }
+
+  this.send(messageBuilder.getMsg(topic, action, [...data, messageBuilder.typed(value)]))
+}
+
+// NOTE: Returns false if the message was dropped, i.e. never sent.
 Connection.prototype.send = function (message) {
-  const { maxPacketSize } = this._options
+  // NOTE: Size is checked in _submit, after compression and
+  // once it is known whether the server accepts fragments.
+  if (this._corked > 0) {
+    this._corkedMessages.push(message)
+  } else if (this._state !== C.CONNECTION_STATE.OPEN) {
+    this._queuedMessages.push(message)
+  } else {
+    return this._submit(message)
+  }
+  return true
+}
 
-  if (message.length > maxPacketSize) {
-    const err = new Error(`Packet to big: ${message.length} > ${maxPacketSize}`)
-    this._client._$onError(C.TOPIC.CONNECTION, C.EVENT.CONNECTION_ERROR, err)
+Connection.prototype.cork = function () {
+  this._corked += 1
+}
+
+Connection.prototype.uncork = function () {
+  this._corked -= 1
+
+  if (this._corked > 0 || this._corkedMessages.length === 0) {
     return
   }
 
-  if (this._state !== C.CONNECTION_STATE.OPEN) {
-    this._queuedMessages.push(message)
-  } else {
-    this._submit(message)
+  const { maxPacketSize } = this._options
+
+  // NOTE: Messages are separator terminated and can be sent as a single packet.
+  let packet = ''
+  let size = 0
+  for (const message of this._corkedMessages) {
+    const messageSize = utils.byteLength(message)
+    if (size > 0 && size + messageSize > maxPacketSize) {
+      this.send(packet)
+      packet = ''
+      size = 0
+    }
+    packet += message
+    size += messageSize
   }
+  this._corkedMessages.length = 0
+
+  this.send(packet)
+}
+
+Connection.prototype.reconnectNow = function () {
+  if (!this._reconnectTimeout) {
+    return
+  }
+
+  clearTimeout(this._reconnectTimeout)
+  this._tryOpen()
 }
 
 Connection.prototype.close = function () {
   this._reset()
   this._deliberateClose = true
-  this._endpoint.close()
+
+  // NOTE: An endpoint which is already closed, e.g. while waiting to reconnect, won't call onclose.
+  if (this._reconnectTimeout || this._endpoint.readyState === this._endpoint.CLOSED) {
+    this._clearReconnect()
+    this._setState(C.CONNECTION_STATE.CLOSED)
+  } else {
+    this._endpoint.close()
+  }
+
+  if (this._unwatchNetwork) {
+    this._unwatchNetwork()
+    this._unwatchNetwork = null
+  }
 }
 
 Connection.prototype._createEndpoint = function () {
-  this._endpoint = BrowserWebSocket ? new BrowserWebSocket(this._url) : new NodeWebSocket(this._url)
+  const transport = this._options.transport || websocket
+  this._opened = false
+  this._watchNetwork()
+  this._endpoint = transport(this._url, this._options)
 
   this._endpoint.onopen = this._onOpen.bind(this)
   this._endpoint.onerror = this._onError.bind(this)
@@ -122,12 +276,41 @@ Connection.prototype._sendQueuedMessages = function () {
 }
 
 Connection.prototype._submit = function (message) {
-  const { maxPacketSize } = this._options
+  const { maxPacketSize, lz, lzThreshold } = this._options
+
+  if (lz && message.length > lzThreshold && this.hasFeature(C.FEATURE.LZ)) {
+    // NOTE: Separators are kept inside the compressed payload so that
+    // corked packets are compressed as a whole.
+    // NOTE: Compared in bytes, compressToUTF16 output is mostly 3 bytes per
+    // char once UTF-8 encoded while the input is often ASCII.
+    const compressed = COMPRESSED_PREFIX + lz.compressToUTF16(message) + C.MESSAGE_SEPERATOR
+    if (utils.byteLength(compressed) < utils.byteLength(message)) {
+      message = compressed
+    }
+  }
+
+  // NOTE: A UTF-16 code unit is at most 3 bytes, only count when it might matter.
+  const size = message.length * 3 <= maxPacketSize ? message.length : utils.byteLength(message)
 
-  if (message.length > maxPacketSize) {
-    const err = new Error(`Packet to big: ${message.length} > ${maxPacketSize}`)
+  if (size <= maxPacketSize) {
+    this._write(message)
+  } else if (this.hasFeature(C.FEATURE.FRAGMENT)) {
+    this._writeFragments(message)
+  } else {
+    const err = new Error(`Packet to big: ${size} > ${maxPacketSize}`)
     this._client._$onError(C.TOPIC.CONNECTION, C.EVENT.CONNECTION_ERROR, err)
-  } else if (this._endpoint.readyState === this._endpoint.OPEN) {
+    return false
+  }
+  return true
+}
+
+Connection.prototype._write = function (message, topic = message[0]) {
+  if (this._endpoint.readyState === this._endpoint.OPEN) {
+    if (this._logger) {
+      this._logger.trace({ message }, 'send')
+    }
+    const size = typeof message === 'string' ? utils.byteLength(message) : message.byteLength
+    this._countBytes(this._stats.bytesSent, topic, size)
     this._endpoint.send(message)
   } else {
     const err = new Error('Tried to send message on a closed websocket connection')
@@ -135,14 +318,155 @@ Connection.prototype._submit = function (message) {
   }
 }
 
+Connection.prototype._writeFragments = function (message) {
+  const size = this._options.maxPacketSize - FRAGMENT_HEADER_SIZE
+
+  // NOTE: Oversized packets hold a single message, see uncork.
+  const payload = message.charCodeAt(message.length - 1) === 30 ? message.slice(0, -1) : message
+
+  const id = this._fragmentCounter.toString(16)
+  this._fragmentCounter = (this._fragmentCounter + 1) & 2147483647
+
+  const chunks = utils.splitBytes(payload, size)
+  for (let index = 0; index < chunks.length; index++) {
+    this._write(messageBuilder.getMsg(C.TOPIC.CONNECTION, C.ACTIONS.FRAGMENT, [id, index, chunks.length, chunks[index]]))
+    this._stats.fragmentsSent += 1
+  }
+}
+
 Connection.prototype._sendAuthParams = function () {
-  this._setState(C.CONNECTION_STATE.AUTHENTICATING)
-  const authMessage = messageBuilder.getMsg(C.TOPIC.AUTH, C.ACTIONS.REQUEST, [this._authParams, pkg.version])
+  // NOTE: An open connection is re-authenticated in place, without dropping subscriptions.
+  if (this._state !== C.CONNECTION_STATE.OPEN) {
+    this._setState(C.CONNECTION_STATE.AUTHENTICATING)
+  }
+
+  const { authProvider } = this._options
+  if (!authProvider) {
+    this._submitAuthParams()
+    return
+  }
+
+  const authRequest = ++this._authRequest
+  const endpoint = this._endpoint
+  Promise
+    .resolve()
+    .then(() => authProvider())
+    .then(authParams => {
+      if (authRequest !== this._authRequest || endpoint !== this._endpoint) {
+        return
+      }
+      this._authParams = authParams
+      this._submitAuthParams()
+    }, err => {
+      if (authRequest !== this._authRequest || endpoint !== this._endpoint) {
+        return
+      }
+      if (this._state !== C.CONNECTION_STATE.OPEN) {
+        this._setState(C.CONNECTION_STATE.AWAITING_AUTHENTICATION)
+      }
+      this._onAuthFailed(err.message, C.EVENT.AUTH_PROVIDER_ERROR)
+      this._client._$onError(C.TOPIC.AUTH, C.EVENT.AUTH_PROVIDER_ERROR, err)
+    })
+}
+
+Connection.prototype._submitAuthParams = function () {
+  const features = this._getFeatures()
+  const authMessage = features.length > 0
+    ? messageBuilder.getMsg(C.TOPIC.AUTH, C.ACTIONS.REQUEST, [this._authParams, pkg.version, features.join(',')])
+    : messageBuilder.getMsg(C.TOPIC.AUTH, C.ACTIONS.REQUEST, [this._authParams, pkg.version])
   this._submit(authMessage)
 }
 
+Connection.prototype._getFeatures = function () {
+  // NOTE: Advertised to the server which acks the subset it supports.
+  const features = []
+  if (this._options.deltaUpdates) {
+    features.push(C.FEATURE.DELTA)
+  }
+  if (this._options.lz) {
+    features.push(C.FEATURE.LZ)
+  }
+  if (this._options.msgpack) {
+    features.push(C.FEATURE.MSGPACK)
+  }
+  features.push(C.FEATURE.FRAGMENT)
+  features.push(C.FEATURE.CANCEL)
+  features.push(C.FEATURE.WRITE_ACK)
+  features.push(C.FEATURE.CONDITIONAL_UPDATE)
+  features.push(C.FEATURE.REAUTHENTICATE)
+  features.push(C.FEATURE.BATCH)
+  return features
+}
+
+Connection.prototype._watchNetwork = function () {
+  if (this._unwatchNetwork || !this._options.networkEvents) {
+    return
+  }
+
+  this._unwatchNetwork = network.watch({
+    onOnline: this._onOnline.bind(this),
+    onOffline: this._onOffline.bind(this),
+    onVisibilityChange: this._onVisibilityChange.bind(this)
+  })
+}
+
+Connection.prototype._onOnline = function () {
+  if (this._reconnectTimeout) {
+    this.reconnectNow()
+  } else if (this._suspect) {
+    // NOTE: Sockets rarely survive a network change and would otherwise
+    // linger until the heartbeat gives up on them.
+    this._endpoint.close()
+  }
+}
+
+Connection.prototype._onOffline = function () {
+  if (!this._opened || this._endpoint.readyState !== this._endpoint.OPEN) {
+    return
+  }
+
+  // NOTE: The socket might survive a short outage, so it is probed rather than closed.
+  this._setSuspect(true)
+  this._ping()
+}
+
+Connection.prototype._onVisibilityChange = function (visible) {
+  this._visible = visible
+
+  if (!visible) {
+    clearInterval(this._heartbeatInterval)
+    this._heartbeatInterval = null
+  } else if (this._reconnectTimeout) {
+    this.reconnectNow()
+  } else if (this._lastHeartBeat !== null) {
+    this._startHeartBeat()
+    this._checkHeartBeat()
+  }
+}
+
+Connection.prototype._setSuspect = function (suspect) {
+  if (this._suspect === suspect) {
+    return
+  }
+  this._suspect = suspect
+  if (this._logger) {
+    this._logger.info({ suspect }, 'connection suspect changed')
+  }
+  this._client.emit(C.EVENT.CONNECTION_SUSPECT, suspect)
+}
+
+Connection.prototype._startHeartBeat = function () {
+  clearInterval(this._heartbeatInterval)
+
+  // NOTE: Timers are throttled in hidden pages, which would make the heartbeat
+  // time out spuriously. It is checked again as soon as the page is visible.
+  this._heartbeatInterval = this._visible
+    ? utils.setInterval(this._checkHeartBeat.bind(this), this._options.heartbeatInterval)
+    : null
+}
+
 Connection.prototype._checkHeartBeat = function () {
-  const heartBeatTolerance = this._options.heartbeatInterval * 3
+  const heartBeatTolerance = this._options.heartbeatInterval * (this._suspect ? 1 : 3)
 
   if (Date.now() - this._lastHeartBeat > heartBeatTolerance) {
     clearInterval(this._heartbeatInterval)
@@ -150,14 +474,41 @@ Connection.prototype._checkHeartBeat = function () {
     const err = new Error(`heartbeat not received in the last ${heartBeatTolerance} milliseconds`)
     this._client._$onError(C.TOPIC.CONNECTION, C.EVENT.CONNECTION_ERROR, err)
   } else {
-    this._submit(messageBuilder.getMsg(C.TOPIC.CONNECTION, C.ACTIONS.PING))
+    this._ping()
   }
 }
 
+Connection.prototype._ping = function () {
+  // NOTE: Round trip time is measured from the first unanswered ping.
+  if (this._pingSent === null) {
+    this._pingSent = Date.now()
+  }
+  this._submit(messageBuilder.getMsg(C.TOPIC.CONNECTION, C.ACTIONS.PING))
+}
+
+// NOTE: Sizes are the bytes of each frame as written or received, i.e. after
+// compression and fragmentation. Frames are counted under the topic of their
+// first message, hence compressed ones under COMPRESSED and fragments under CONNECTION.
+Connection.prototype._countBytes = function (bytes, topic, size) {
+  bytes[topic] = (bytes[topic] || 0) + size
+}
+
 Connection.prototype._onOpen = function () {
+  this._opened = true
+  this._endpoints.onSuccess(this._originalUrl)
+
+  if (this._url !== this._activeUrl) {
+    const previousUrl = this._activeUrl
+    this._activeUrl = this._url
+    if (this._logger) {
+      this._logger.info({ url: this._url, previousUrl }, 'endpoint changed')
+    }
+    this._client.emit(C.EVENT.ENDPOINT_CHANGED, { url: this._url, previousUrl })
+  }
+
   this._clearReconnect()
   this._lastHeartBeat = Date.now()
-  this._heartbeatInterval = utils.setInterval(this._checkHeartBeat.bind(this), this._options.heartbeatInterval)
+  this._startHeartBeat()
   this._setState(C.CONNECTION_STATE.AWAITING_CONNECTION)
 }
 
@@ -186,6 +537,10 @@ Connection.prototype._onError = function (err) {
 Connection.prototype._onClose = function () {
   this._reset()
 
+  if (!this._opened && !this._deliberateClose) {
+    this._endpoints.onFailure(this._originalUrl)
+  }
+
   if (this._redirecting === true) {
     this._redirecting = false
     this._createEndpoint()
@@ -197,8 +552,12 @@ Connection.prototype._onClose = function () {
 }
 
 Connection.prototype._onMessage = function ({ data }) {
-  if (data.charCodeAt(data.length - 1) === 30) {
-    data = data.slice(0, -1)
+  // NOTE: Binary frames are counted once decoded, see _decode.
+  if (typeof data === 'string' && data.length > 0) {
+    this._countBytes(this._stats.bytesReceived, data[0], utils.byteLength(data))
+    if (data.charCodeAt(data.length - 1) === 30) {
+      data = data.slice(0, -1)
+    }
   }
 
   this._messages.push(data)
@@ -230,16 +589,31 @@ Connection.prototype._processMessages = function () {
     const message = this._messages[this._messagesIndex]
     this._messages[this._messagesIndex++] = null
 
-    if (message.length <= 2) {
+    if (Array.isArray(message)) {
+      if (this._logger) {
+        this._logger.trace({ message }, 'receive')
+      }
+
+      this._message.raw = null
+      this._message.topic = message[0]
+      this._message.action = message[1]
+      this._message.data = message.slice(2)
+    } else if (typeof message !== 'string') {
+      this._decode(message)
       continue
-    }
+    } else if (message.length <= 2) {
+      continue
+    } else if (message.startsWith(COMPRESSED_PREFIX)) {
+      this._decompress(message)
+      continue
+    } else {
+      if (this._logger) {
+        this._logger.trace({ message }, 'receive')
+      }
 
-    if (this._logger) {
-      this._logger.trace(message, 'receive')
+      messageParser.parseMessage(message, this._client, this._message)
     }
 
-    messageParser.parseMessage(message, this._client, this._message)
-
     if (this._message.topic === C.TOPIC.CONNECTION) {
       this._handleConnectionResponse(this._message)
     } else if (this._message.topic === C.TOPIC.AUTH) {
@@ -250,15 +624,117 @@ Connection.prototype._processMessages = function () {
   }
 }
 
+Connection.prototype._decompress = function (message) {
+  let decompressed
+  try {
+    if (!this._options.lz) {
+      throw new Error('lz not configured')
+    }
+    decompressed = this._options.lz.decompressFromUTF16(message.slice(COMPRESSED_PREFIX.length))
+    if (typeof decompressed !== 'string') {
+      throw new Error('invalid compressed message')
+    }
+  } catch (err) {
+    this._client._$onError(C.TOPIC.CONNECTION, C.EVENT.MESSAGE_PARSE_ERROR, err)
+    return
+  }
+
+  // NOTE: Processed in order, before any message received after it.
+  const messages = decompressed.split(C.MESSAGE_SEPERATOR)
+  this._messages.splice(this._messagesIndex, 0, ...messages)
+}
+
+Connection.prototype._decode = function (data) {
+  let messages
+  try {
+    if (!this._options.msgpack) {
+      throw new Error('msgpack not configured')
+    }
+    messages = this._options.msgpack.decode(data instanceof ArrayBuffer ? new Uint8Array(data) : data)
+    if (!Array.isArray(messages)) {
+      throw new Error('invalid binary message')
+    }
+  } catch (err) {
+    this._client._$onError(C.TOPIC.CONNECTION, C.EVENT.MESSAGE_PARSE_ERROR, err)
+    return
+  }
+
+  if (Array.isArray(messages[0])) {
+    this._countBytes(this._stats.bytesReceived, messages[0][0], data.byteLength)
+  }
+
+  // NOTE: A binary message is a list of [topic, action, ...data] messages.
+  this._messages.splice(this._messagesIndex, 0, ...messages)
+}
+
+Connection.prototype._onFragment = function ([id, index, count, ...chunk]) {
+  index = parseCount(index)
+  count = parseCount(count)
+
+  let fragments = this._fragments.get(id)
+
+  // NOTE: The header comes from the peer, count is bounded before anything is allocated for it.
+  if (
+    !(count >= 1 && count <= this._options.maxFragments) ||
+    !(index >= 0 && index < count) ||
+    (fragments && fragments.chunks.length !== count)
+  ) {
+    this._client._$onError(C.TOPIC.CONNECTION, C.EVENT.MESSAGE_PARSE_ERROR, 'invalid fragment header', [id, index, count])
+    return
+  }
+
+  if (!fragments) {
+    fragments = {
+      chunks: new Array(count),
+      received: 0,
+      timeout: setTimeout(() => {
+        this._fragments.delete(id)
+        this._stats.fragmentTimeouts += 1
+        this._client._$onError(C.TOPIC.CONNECTION, C.EVENT.TIMEOUT, 'fragment timeout', [id, fragments.received, count])
+      }, this._options.fragmentTimeout)
+    }
+    this._fragments.set(id, fragments)
+  }
+
+  if (fragments.chunks[index] !== undefined) {
+    this._client._$onError(C.TOPIC.CONNECTION, C.EVENT.MESSAGE_PARSE_ERROR, 'invalid fragment', [id, index, count])
+    return
+  }
+
+  // NOTE: The chunk might contain part separators.
+  fragments.chunks[index] = chunk.join(C.MESSAGE_PART_SEPERATOR)
+  fragments.received += 1
+  this._stats.fragmentsReceived += 1
+
+  if (fragments.received < fragments.chunks.length) {
+    return
+  }
+
+  clearTimeout(fragments.timeout)
+  this._fragments.delete(id)
+
+  // NOTE: Processed in order, before any message received after it.
+  this._messages.splice(this._messagesIndex, 0, fragments.chunks.join(''))
+}
+
 Connection.prototype._reset = function () {
+  this._features.clear()
+
+  for (const { timeout } of this._fragments.values()) {
+    clearTimeout(timeout)
+  }
+  this._fragments.clear()
   this._messages = []
   this._messagesIndex = 0
 
-  if (this._heartbeatInterval) {
-    clearInterval(this._heartbeatInterval)
-    this._heartbeatInterval = null
-    this._lastHeartBeat = null
-  }
+  clearInterval(this._heartbeatInterval)
+  this._heartbeatInterval = null
+  this._lastHeartBeat = null
+  this._pingSent = null
+  this._setSuspect(false)
+
+  clearTimeout(this._tokenTimeout)
+  this._tokenTimeout = null
 
   if (this._messageSender) {
     clearTimeout(this._messageSender)
@@ -268,11 +744,21 @@ Connection.prototype._reset = function () {
 }
 
 Connection.prototype._handleConnectionResponse = function (message) {
+  if (message.action === C.ACTIONS.PING || message.action === C.ACTIONS.PONG) {
+    this._setSuspect(false)
+  }
+
   if (message.action === C.ACTIONS.PING) {
     this._lastHeartBeat = Date.now()
     this._submit(messageBuilder.getMsg(C.TOPIC.CONNECTION, C.ACTIONS.PONG))
   } else if (message.action === C.ACTIONS.PONG) {
     this._lastHeartBeat = Date.now()
+    if (this._pingSent !== null) {
+      this._heartbeatRtt.observe(this._lastHeartBeat - this._pingSent)
+      this._pingSent = null
+    }
+  } else if (message.action === C.ACTIONS.FRAGMENT) {
+    this._onFragment(message.data)
   } else if (message.action === C.ACTIONS.ACK) {
     this._setState(C.CONNECTION_STATE.AWAITING_AUTHENTICATION)
     if (this._authParams) {
@@ -292,6 +778,7 @@ Connection.prototype._handleConnectionResponse = function (message) {
     if (message.data[0] === C.EVENT.CONNECTION_AUTHENTICATION_TIMEOUT) {
       this._deliberateClose = true
       this._connectionAuthenticationTimeout = true
+      this._onAuthFailed(this._getAuthData(message.data[1]), message.data[0])
       this._client._$onError(C.TOPIC.CONNECTION, message.data[0], message.data[1])
     }
   }
@@ -302,24 +789,78 @@ Connection.prototype._handleAuthResponse = function (message) {
     if (message.data[0] === C.EVENT.TOO_MANY_AUTH_ATTEMPTS) {
       this._deliberateClose = true
       this._tooManyAuthAttempts = true
-    } else {
+    } else if (this._state !== C.CONNECTION_STATE.OPEN) {
       this._setState(C.CONNECTION_STATE.AWAITING_AUTHENTICATION)
     }
 
-    if (this._authCallback) {
-      this._authCallback(false, this._getAuthData(message.data[1]))
-    }
+    this._onAuthFailed(this._getAuthData(message.data[1]), message.data[0])
   } else if (message.action === C.ACTIONS.ACK) {
+    const authData = this._getAuthData(message.data[0])
+
+    this._features = new Set(message.data[1] ? message.data[1].split(',') : [])
+    if (this._logger) {
+      this._logger.debug({ features: Array.from(this._features) }, 'authenticated')
+    }
     this._setState(C.CONNECTION_STATE.OPEN)
+    this._scheduleTokenExpiring(authData)
 
     if (this._authCallback) {
-      this._authCallback(true, this._getAuthData(message.data[0]))
+      this._authCallback(true, authData)
+    }
+    for (const done of this._reauthCallbacks.splice(0)) {
+      done(true, authData)
     }
 
     this._sendQueuedMessages()
   }
 }
 
+Connection.prototype._onAuthFailed = function (authData, code) {
+  if (this._logger) {
+    this._logger.warn({ code }, 'authentication failed')
+  }
+
+  // NOTE: A failed re-authentication leaves an open connection as is.
+  if (this._state !== C.CONNECTION_STATE.OPEN && this._authCallback) {
+    this._authCallback(false, authData, code)
+  }
+
+  for (const done of this._reauthCallbacks.splice(0)) {
+    done(false, authData, code)
+  }
+}
+
+Connection.prototype._scheduleTokenExpiring = function (authData) {
+  const { tokenExpiry, tokenRefreshMargin, authProvider } = this._options
+
+  clearTimeout(this._tokenTimeout)
+  this._tokenTimeout = null
+
+  const expiresAt = tokenExpiry ? tokenExpiry(this._authParams, authData) : null
+  if (expiresAt == null) {
+    return
+  }
+
+  // NOTE: Timers overflow after ~24.8 days, so long lived tokens are waited for in steps.
+  const schedule = () => {
+    const delay = expiresAt - tokenRefreshMargin - Date.now()
+    this._tokenTimeout = setTimeout(onTimeout, Math.min(Math.max(0, delay), MAX_TIMEOUT))
+  }
+  const onTimeout = () => {
+    if (expiresAt - tokenRefreshMargin > Date.now()) {
+      schedule()
+      return
+    }
+
+    this._tokenTimeout = null
+    this._client.emit(C.EVENT.TOKEN_EXPIRING, { expiresAt })
+    if (authProvider) {
+      this.reauthenticate()
+    }
+  }
+  schedule()
+}
+
 Connection.prototype._getAuthData = function (data) {
   if (data === undefined) {
     return null
@@ -332,6 +873,9 @@ Connection.prototype._setState = function (state) {
   if (this._state === state) {
     return
   }
+  if (this._logger) {
+    this._logger.debug({ state, previousState: this._state }, 'connection state changed')
+  }
   this._state = state
   this._client.emit(C.EVENT.CONNECTION_STATE_CHANGED, state)
 }
@@ -342,15 +886,16 @@ Connection.prototype._tryReconnect = function () {
   }
 
   if (this._reconnectionAttempt < this._options.maxReconnectAttempts) {
+    const delay = this._reconnectStrategy(this._reconnectionAttempt, this._reconnectDelay)
     this._setState(C.CONNECTION_STATE.RECONNECTING)
-    this._reconnectTimeout = setTimeout(
-      this._tryOpen.bind(this),
-      Math.min(
-        this._options.maxReconnectInterval,
-        this._options.reconnectIntervalIncrement * this._reconnectionAttempt
-      )
-    )
+    this._reconnectTimeout = setTimeout(this._tryOpen.bind(this), delay)
+    this._reconnectDelay = delay
     this._reconnectionAttempt++
+    this._stats.reconnects += 1
+    if (this._logger) {
+      this._logger.info({ attempt: this._reconnectionAttempt, delay }, 'reconnect scheduled')
+    }
+    this._client.emit(C.EVENT.RECONNECT_SCHEDULED, { attempt: this._reconnectionAttempt, delay })
   } else {
     this._clearReconnect()
     this.close()
@@ -359,17 +904,30 @@ Connection.prototype._tryReconnect = function () {
 }
 
 Connection.prototype._tryOpen = function () {
-  if (this._originalUrl !== this._url) {
-    this._url = this._originalUrl
+  this._reconnectTimeout = null
+
+  try {
+    this._originalUrl = this._endpoints.next()
+  } catch (err) {
+    this._client._$onError(C.TOPIC.CONNECTION, C.EVENT.CONNECTION_ERROR, err)
+    this._tryReconnect()
+    return
   }
+
+  this._url = this._originalUrl
   this._createEndpoint()
-  this._reconnectTimeout = null
 }
 
 Connection.prototype._clearReconnect = function () {
   clearTimeout(this._reconnectTimeout)
   this._reconnectTimeout = null
   this._reconnectionAttempt = 0
+  this._reconnectDelay = 0
+}
+
+// NOTE: Unlike parseInt, anything but a plain decimal integer, e.g. "1e3" or "", is NaN.
+function parseCount (str) {
+  return /^\d{1,10}$/.test(str) ? parseInt(str, 10) : NaN
 }
 
 module.exports = Connection
@@ -0,0 +1,67 @@
+const utils = require('../utils/utils')
+
+// Picks the url for each connection attempt from a url, a list of urls or a
+// resolver function returning either, which is called for every attempt.
+
+const Endpoints = function (urls, path) {
+  if (typeof urls !== 'function' && !Array.isArray(urls) && typeof urls !== 'string') {
+    throw new Error('invalid argument url')
+  }
+
+  this._urls = urls
+  this._path = path
+  this._failures = new Map()
+  this._current = null
+  this._lastGood = null
+}
+
+Object.defineProperty(Endpoints.prototype, 'current', {
+  get: function current () {
+    return this._current
+  }
+})
+
+Endpoints.prototype.next = function () {
+  const urls = this._resolve()
+
+  // NOTE: Fewest consecutive failures wins, then the last good endpoint,
+  // then the endpoint following the current one.
+  const offset = urls.indexOf(this._current) + 1
+
+  let next = null
+  let nextFailures = Infinity
+  for (let n = 0; n < urls.length; n++) {
+    const url = urls[(offset + n) % urls.length]
+    const failures = this._failures.get(url) || 0
+    if (failures < nextFailures || (failures === nextFailures && url === this._lastGood)) {
+      next = url
+      nextFailures = failures
+    }
+  }
+
+  this._current = next
+
+  return next
+}
+
+Endpoints.prototype.onSuccess = function (url) {
+  this._failures.delete(url)
+  this._lastGood = url
+}
+
+Endpoints.prototype.onFailure = function (url) {
+  this._failures.set(url, (this._failures.get(url) || 0) + 1)
+}
+
+Endpoints.prototype._resolve = function () {
+  let urls = typeof this._urls === 'function' ? this._urls() : this._urls
+  urls = Array.isArray(urls) ? urls : [urls]
+
+  if (urls.length === 0) {
+    throw new Error('invalid url, no endpoints')
+  }
+
+  return urls.map(url => utils.parseUrl(url, this._path))
+}
+
+module.exports = Endpoints
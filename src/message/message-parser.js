@@ -5,6 +5,11 @@ const MessageParser = function () {
 }
 
 MessageParser.prototype.convertTyped = function (value, client) {
+  // NOTE: Binary messages carry objects natively.
+  if (typeof value !== 'string') {
+    return value
+  }
+
   const type = value.charAt(0)
 
   if (type === C.TYPES.STRING) {
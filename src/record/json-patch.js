@@ -0,0 +1,125 @@
+const utils = require('../utils/utils')
+
+// RFC 6902 JSON Patch.
+
+function diff (prev, next) {
+  const ops = []
+  compare(prev, next, '', ops)
+  return ops
+}
+
+function compare (prev, next, pointer, ops) {
+  if (prev === next) {
+    return
+  }
+
+  if (Array.isArray(prev) && Array.isArray(next)) {
+    const length = Math.min(prev.length, next.length)
+    for (let i = 0; i < length; i++) {
+      compare(prev[i], next[i], `${pointer}/${i}`, ops)
+    }
+    for (let i = length; i < next.length; i++) {
+      ops.push({ op: 'add', path: `${pointer}/${i}`, value: next[i] })
+    }
+    for (let i = prev.length - 1; i >= length; i--) {
+      ops.push({ op: 'remove', path: `${pointer}/${i}` })
+    }
+  } else if (utils.isPlainObject(prev) && utils.isPlainObject(next)) {
+    for (const key of Object.keys(prev)) {
+      if (next[key] === undefined && prev[key] !== undefined) {
+        ops.push({ op: 'remove', path: `${pointer}/${escape(key)}` })
+      }
+    }
+    for (const key of Object.keys(next)) {
+      if (next[key] === undefined) {
+        continue
+      }
+      if (prev[key] === undefined) {
+        ops.push({ op: 'add', path: `${pointer}/${escape(key)}`, value: next[key] })
+      } else {
+        compare(prev[key], next[key], `${pointer}/${escape(key)}`, ops)
+      }
+    }
+  } else {
+    ops.push({ op: 'replace', path: pointer, value: next })
+  }
+}
+
+function apply (doc, ops) {
+  for (const op of ops) {
+    const tokens = parse(op.path)
+
+    if (op.op === 'add' || op.op === 'replace') {
+      doc = update(doc, tokens, 0, op)
+    } else if (op.op === 'remove') {
+      if (tokens.length === 0) {
+        throw new Error('cannot remove root')
+      }
+      doc = update(doc, tokens, 0, op)
+    } else {
+      throw new Error(`unsupported op ${op.op}`)
+    }
+  }
+  return doc
+}
+
+function update (node, tokens, index, op) {
+  if (index === tokens.length) {
+    return op.value
+  }
+
+  if (node == null || typeof node !== 'object') {
+    throw new Error(`invalid path ${op.path}`)
+  }
+
+  const token = tokens[index]
+  const last = index === tokens.length - 1
+
+  if (Array.isArray(node)) {
+    const i = token === '-' ? node.length : parseInt(token, 10)
+    if (!(i >= 0 && i <= node.length)) {
+      throw new Error(`invalid path ${op.path}`)
+    }
+
+    const result = node.slice(0)
+    if (last && op.op === 'add') {
+      result.splice(i, 0, op.value)
+    } else if (last && op.op === 'remove') {
+      result.splice(i, 1)
+    } else {
+      result[i] = update(node[i], tokens, index + 1, op)
+    }
+    return result
+  }
+
+  const result = utils.shallowCopy(node)
+  if (last && op.op === 'remove') {
+    delete result[token]
+  } else {
+    result[token] = update(node[token], tokens, index + 1, op)
+  }
+  return result
+}
+
+function escape (key) {
+  return key.replace(/~/g, '~0').replace(/\//g, '~1')
+}
+
+function unescape (token) {
+  return token.replace(/~1/g, '/').replace(/~0/g, '~')
+}
+
+function parse (pointer) {
+  if (pointer === '') {
+    return []
+  }
+  if (pointer.charAt(0) !== '/') {
+    throw new Error(`invalid path ${pointer}`)
+  }
+  return pointer.slice(1).split('/').map(unescape)
+}
+
+module.exports = {
+  diff,
+  apply
+}
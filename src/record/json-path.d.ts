@@ -0,0 +1,44 @@
+/** Splits a path such as `a.b[0].c` into its tokens, mirroring `tokenize`. */
+export type Tokenize<P extends string> =
+  P extends `${infer Head}[${infer Index}]${infer Tail}`
+    ? [...Tokenize<Head>, Index, ...Tokenize<Tail>]
+    : P extends `${infer Head}.${infer Tail}`
+      ? [...Tokenize<Head>, ...Tokenize<Tail>]
+      : P extends ''
+        ? []
+        : [P]
+
+type Prop<T, K extends string> =
+  T extends ReadonlyArray<infer E>
+    ? K extends `${number}` ? E : never
+    : T extends object
+      ? K extends keyof T ? T[K] : never
+      : never
+
+type GetTokens<T, K extends readonly string[]> =
+  K extends [infer Head, ...infer Rest]
+    ? Head extends string
+      ? Rest extends string[] ? GetTokens<Prop<T, Head>, Rest> : never
+      : never
+    : T
+
+/** The type at `P` in `T`, `never` if the path does not exist. */
+export type Get<T, P extends string | undefined> =
+  0 extends (1 & T)
+    ? any
+    : P extends string ? GetTokens<T, Tokenize<P>> : T
+
+/** Resolves to `P` if it is a valid path in `T`, otherwise `never`. */
+export type Path<T, P extends string> = [Get<T, P>] extends [never] ? never : P
+
+export const EMPTY: {}
+
+export function get<T, P extends string | undefined> (data: T, path: P): Get<T, P>
+export function set<T> (data: T, path: string | null | undefined, value: unknown, isPlainJSON?: boolean): T
+export function changes (oldValue: unknown, newValue: unknown, path?: string): Array<{
+  op: 'add' | 'remove' | 'replace'
+  path: string
+  oldValue: unknown
+  newValue: unknown
+}>
+export function jsonClone<T> (o: T): T
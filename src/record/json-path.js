@@ -117,6 +117,40 @@ function patch (oldValue, newValue, isPlainJSON) {
   }
 }
 
+function changes (oldValue, newValue, path) {
+  const result = []
+  compare(oldValue, newValue, path || '', result)
+  return result
+}
+
+function compare (oldValue, newValue, path, result) {
+  if (oldValue === newValue) {
+    return
+  }
+
+  if (Array.isArray(oldValue) && Array.isArray(newValue)) {
+    const length = Math.max(oldValue.length, newValue.length)
+    for (let i = 0; i < length; i++) {
+      compare(oldValue[i], newValue[i], `${path}[${i}]`, result)
+    }
+  } else if (utils.isPlainObject(oldValue) && utils.isPlainObject(newValue)) {
+    for (const key of Object.keys(oldValue)) {
+      if (newValue[key] === undefined) {
+        compare(oldValue[key], undefined, path ? `${path}.${key}` : key, result)
+      }
+    }
+    for (const key of Object.keys(newValue)) {
+      compare(oldValue[key], newValue[key], path ? `${path}.${key}` : key, result)
+    }
+  } else if (oldValue === undefined) {
+    result.push({ op: 'add', path, oldValue, newValue })
+  } else if (newValue === undefined) {
+    result.push({ op: 'remove', path, oldValue, newValue })
+  } else {
+    result.push({ op: 'replace', path, oldValue, newValue })
+  }
+}
+
 function tokenize (path) {
   if (!path) {
     return []
@@ -143,5 +177,6 @@ module.exports = {
   EMPTY,
   get,
   set,
+  changes,
   jsonClone
 }
@@ -0,0 +1,211 @@
+const utils = require('../utils/utils')
+const { isEqual } = require('./merge')
+
+// Subset of JSON Schema (draft 7) sufficient for validating record data.
+// Schemas are compiled once, which rejects anything outside of the subset,
+// and validated against as compiled.
+
+const TYPES = ['null', 'boolean', 'number', 'integer', 'string', 'array', 'object']
+
+const NUMBERS = ['minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum']
+const LENGTHS = ['minLength', 'maxLength', 'minItems', 'maxItems']
+const SCHEMAS = ['items', 'additionalProperties']
+const SCHEMA_LISTS = ['allOf', 'anyOf']
+
+// NOTE: Annotations, these don't affect validation.
+const ANNOTATIONS = ['$schema', '$comment', 'title', 'description', 'default', 'examples']
+
+function compile (schema, path) {
+  path = path || '#'
+
+  if (typeof schema === 'boolean') {
+    return schema
+  }
+
+  if (!utils.isPlainObject(schema)) {
+    throw new Error(`invalid schema at ${path}`)
+  }
+
+  const compiled = {}
+
+  for (const keyword of Object.keys(schema)) {
+    const value = schema[keyword]
+    const at = `${path}/${keyword}`
+
+    if (ANNOTATIONS.includes(keyword)) {
+      continue
+    } else if (keyword === 'type') {
+      const types = Array.isArray(value) ? value : [value]
+      if (types.length === 0 || !types.every(type => TYPES.includes(type))) {
+        throw new Error(`invalid schema type at ${at}`)
+      }
+      compiled.type = types
+    } else if (keyword === 'const') {
+      compiled.const = value
+    } else if (keyword === 'enum') {
+      if (!Array.isArray(value)) {
+        throw new Error(`invalid schema enum at ${at}`)
+      }
+      compiled.enum = value
+    } else if (NUMBERS.includes(keyword)) {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error(`invalid schema ${keyword} at ${at}`)
+      }
+      compiled[keyword] = value
+    } else if (LENGTHS.includes(keyword)) {
+      if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`invalid schema ${keyword} at ${at}`)
+      }
+      compiled[keyword] = value
+    } else if (keyword === 'pattern') {
+      if (typeof value !== 'string') {
+        throw new Error(`invalid schema pattern at ${at}`)
+      }
+      compiled.pattern = new RegExp(value)
+    } else if (keyword === 'required') {
+      if (!Array.isArray(value) || !value.every(key => typeof key === 'string')) {
+        throw new Error(`invalid schema required at ${at}`)
+      }
+      compiled.required = value
+    } else if (keyword === 'properties') {
+      if (!utils.isPlainObject(value)) {
+        throw new Error(`invalid schema properties at ${at}`)
+      }
+      compiled.properties = {}
+      for (const key of Object.keys(value)) {
+        compiled.properties[key] = compile(value[key], `${at}/${key}`)
+      }
+    } else if (SCHEMAS.includes(keyword)) {
+      compiled[keyword] = compile(value, at)
+    } else if (SCHEMA_LISTS.includes(keyword)) {
+      if (!Array.isArray(value) || value.length === 0) {
+        throw new Error(`invalid schema ${keyword} at ${at}`)
+      }
+      compiled[keyword] = value.map((subschema, i) => compile(subschema, `${at}/${i}`))
+    } else {
+      throw new Error(`unsupported schema keyword ${keyword} at ${path}`)
+    }
+  }
+
+  return compiled
+}
+
+function validate (schema, value, path, errors) {
+  errors = errors || []
+  path = path || ''
+
+  if (schema === true || schema == null) {
+    return errors
+  }
+
+  if (schema === false) {
+    errors.push({ path, message: 'not allowed' })
+    return errors
+  }
+
+  if (schema.type !== undefined && !schema.type.some(type => isType(type, value))) {
+    errors.push({ path, message: `must be ${schema.type.join(' or ')}` })
+    return errors
+  }
+
+  if (schema.const !== undefined && !isEqual(schema.const, value)) {
+    errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` })
+  }
+
+  if (schema.enum !== undefined && !schema.enum.some(x => isEqual(x, value))) {
+    errors.push({ path, message: `must be one of ${JSON.stringify(schema.enum)}` })
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` })
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` })
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push({ path, message: `must be > ${schema.exclusiveMinimum}` })
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      errors.push({ path, message: `must be < ${schema.exclusiveMaximum}` })
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `must have length >= ${schema.minLength}` })
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must have length <= ${schema.maxLength}` })
+    }
+    if (schema.pattern !== undefined && !schema.pattern.test(value)) {
+      errors.push({ path, message: `must match ${schema.pattern.source}` })
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have >= ${schema.minItems} items` })
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have <= ${schema.maxItems} items` })
+    }
+    if (schema.items !== undefined) {
+      for (let i = 0; i < value.length; i++) {
+        validate(schema.items, value[i], `${path}[${i}]`, errors)
+      }
+    }
+  }
+
+  if (utils.isPlainObject(value)) {
+    const properties = schema.properties || {}
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: join(path, key), message: 'is required' })
+      }
+    }
+
+    for (const key of Object.keys(value)) {
+      if (properties[key] !== undefined) {
+        validate(properties[key], value[key], join(path, key), errors)
+      } else if (schema.additionalProperties !== undefined) {
+        validate(schema.additionalProperties, value[key], join(path, key), errors)
+      }
+    }
+  }
+
+  if (schema.allOf !== undefined) {
+    for (const subschema of schema.allOf) {
+      validate(subschema, value, path, errors)
+    }
+  }
+
+  if (schema.anyOf !== undefined && !schema.anyOf.some(subschema => validate(subschema, value, path).length === 0)) {
+    errors.push({ path, message: 'must match a schema in anyOf' })
+  }
+
+  return errors
+}
+
+function isType (type, value) {
+  switch (type) {
+    case 'null': return value === null
+    case 'boolean': return typeof value === 'boolean'
+    case 'number': return typeof value === 'number' && Number.isFinite(value)
+    case 'integer': return Number.isInteger(value)
+    case 'string': return typeof value === 'string'
+    case 'array': return Array.isArray(value)
+    case 'object': return utils.isPlainObject(value)
+    default: return false
+  }
+}
+
+function join (path, key) {
+  return path ? `${path}.${key}` : key
+}
+
+module.exports = {
+  compile,
+  validate
+}
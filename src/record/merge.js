@@ -0,0 +1,89 @@
+const utils = require('../utils/utils')
+const jsonPath = require('./json-path')
+
+function isEqual (a, b) {
+  if (a === b) {
+    return true
+  }
+
+  if (Array.isArray(a) && Array.isArray(b)) {
+    if (a.length !== b.length) {
+      return false
+    }
+    for (let i = 0; i < a.length; i++) {
+      if (!isEqual(a[i], b[i])) {
+        return false
+      }
+    }
+    return true
+  }
+
+  if (utils.isPlainObject(a) && utils.isPlainObject(b)) {
+    const keys = Object.keys(a)
+    if (keys.length !== Object.keys(b).length) {
+      return false
+    }
+    for (const key of keys) {
+      if (!Object.prototype.hasOwnProperty.call(b, key) || !isEqual(a[key], b[key])) {
+        return false
+      }
+    }
+    return true
+  }
+
+  return false
+}
+
+function threeWay (base, local, remote, conflicts, path) {
+  if (local === remote || isEqual(local, base)) {
+    return remote
+  }
+
+  if (isEqual(remote, base) || isEqual(local, remote)) {
+    return local
+  }
+
+  if (utils.isPlainObject(base) && utils.isPlainObject(local) && utils.isPlainObject(remote)) {
+    const keys = new Set([...Object.keys(base), ...Object.keys(local), ...Object.keys(remote)])
+    const result = {}
+
+    let isRemote = true
+    for (const key of keys) {
+      const value = threeWay(base[key], local[key], remote[key], conflicts, path ? `${path}.${key}` : key)
+      if (value !== undefined) {
+        result[key] = value
+      }
+      isRemote = isRemote && value === remote[key]
+    }
+
+    return isRemote ? remote : result
+  }
+
+  conflicts.push(path)
+
+  return local
+}
+
+function lastWriterWins (base, remote, patches, conflicts) {
+  let data = remote
+  for (let i = 0; i < patches.length; i += 2) {
+    const path = patches[i + 0]
+    const value = patches[i + 1]
+
+    if (base) {
+      const remoteValue = jsonPath.get(remote, path)
+      if (!isEqual(remoteValue, jsonPath.get(base, path)) && !isEqual(remoteValue, value)) {
+        conflicts.push(path)
+      }
+    }
+
+    data = jsonPath.set(data, path, value, true)
+  }
+  return data
+}
+
+module.exports = {
+  isEqual,
+  threeWay,
+  lastWriterWins
+}
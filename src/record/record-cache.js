@@ -39,6 +39,8 @@ RecordCache.prototype.flush = function (callback) {
   if (this._batch) {
     this._batch.write(callback)
     this._batch = null
+  } else {
+    callback(null)
   }
 }
 
@@ -0,0 +1,104 @@
+import { Observable } from 'rxjs'
+import Record = require('./record')
+import { Get, Path } from './json-path'
+import { DeepstreamError } from '../utils/errors'
+import Histogram = require('../utils/histogram')
+
+declare namespace RecordHandler {
+  type MergeStrategy<T = any> =
+    | 'lww'
+    | 'three-way'
+    | ((base: T | null, local: T, remote: T, record: Record<T>) => T)
+
+  interface Config {
+    mergeStrategy?: MergeStrategy
+    history?: number
+    schema?: object
+  }
+
+  interface Batch {
+    set (name: string, data: object): void
+    set (name: string, path: string, data: unknown): void
+    update (name: string, updater: (data: any, version: string) => any): void
+    update (name: string, path: string, updater: (value: any, version: string) => any): void
+  }
+
+  interface BatchResult {
+    name: string
+    version?: string
+    error?: Error
+  }
+
+  interface Change {
+    op: 'add' | 'remove' | 'replace'
+    path: string
+    oldValue: unknown
+    newValue: unknown
+  }
+
+  interface Stats {
+    reads: number
+    hits: number
+    misses: number
+    listeners: number
+    records: number
+    outbox: number
+    readLatency: Histogram.Snapshot
+  }
+}
+
+declare class RecordHandler {
+  readonly STATE: typeof Record.STATE
+  readonly MERGE_STRATEGY: {
+    LAST_WRITER_WINS: 'lww'
+    THREE_WAY: 'three-way'
+  }
+  readonly VOID: 0
+  readonly CLIENT: 1
+  readonly SERVER: 2
+  readonly PROVIDER: 3
+
+  readonly connected: boolean
+  readonly isAsync: boolean
+  readonly stats: RecordHandler.Stats
+  readonly errors$: Observable<DeepstreamError>
+
+  getRecord<T = any> (name: string): Record<T>
+
+  configure (pattern: string | RegExp, config: RecordHandler.Config): () => void
+  defineSchema (pattern: string | RegExp, schema: object): () => void
+
+  provide (
+    pattern: string,
+    callback: (name: string) => any,
+    recursive?: boolean
+  ): (() => void) | undefined
+
+  sync (): Promise<boolean>
+
+  get<T = any> (name: string, state?: number): Promise<T>
+  get<T = any, P extends string = string> (name: string, path: Path<T, P>, state?: number): Promise<Get<T, P>>
+
+  set<T = any> (name: string, data: T, options?: Record.SetOptions): Promise<string | void>
+  set<T = any, P extends string = string> (name: string, path: Path<T, P>, data: Get<T, P>, options?: Record.SetOptions): Promise<string | void>
+
+  update<T = any> (name: string, updater: (data: T, version: string) => T): Promise<void>
+  update<T = any, P extends string = string> (name: string, path: Path<T, P>, updater: (value: Get<T, P>, version: string) => Get<T, P>): Promise<void>
+
+  transaction<T = any> (name: string, updater: (data: T, version: string) => T): Promise<string>
+  transaction<T = any, P extends string = string> (name: string, path: Path<T, P>, updater: (value: Get<T, P>, version: string) => Get<T, P>): Promise<string>
+
+  batch (fn: (batch: RecordHandler.Batch) => void | Promise<void>): Promise<RecordHandler.BatchResult[]>
+
+  observe<T = any> (name: string, state?: number): Observable<T>
+  observe<T = any, P extends string = string> (name: string, path: Path<T, P>, state?: number): Observable<Get<T, P>>
+
+  observe2<T = any> (name: string): Observable<{ version: string, data: T, state: number }>
+
+  observeChanges (name: string, path?: string, state?: number): Observable<{
+    version: string
+    changes: RecordHandler.Change[]
+  }>
+}
+
+export = RecordHandler
@@ -3,13 +3,20 @@ const Listener = require('../utils/listener')
 const C = require('../constants/constants')
 const { Observable } = require('rxjs')
 const invariant = require('invariant')
+const xuid = require('xuid')
 const EventEmitter = require('component-emitter2')
 const RecordCache = require('./record-cache')
+const RecordOutbox = require('./record-outbox')
 const jsonPath = require('./json-path')
+const jsonSchema = require('./json-schema')
 const utils = require('../utils/utils')
+const Histogram = require('../utils/histogram')
+const PatternConfig = require('../utils/pattern-config')
+const { RecordUpdateError } = require('../utils/errors')
 
 const RecordHandler = function (options, connection, client) {
   this.STATE = C.RECORD_STATE
+  this.MERGE_STRATEGY = C.MERGE_STRATEGY
 
   Object.assign(this, C.RECORD_STATE)
 
@@ -17,10 +24,15 @@ const RecordHandler = function (options, connection, client) {
   this._options = options
   this._connection = connection
   this._client = client
+  this._logger = options.logger
   this._records = new Map()
   this._listeners = new Map()
   this._prune = new Map()
   this._pending = new Set()
+  this._config = new PatternConfig()
+  this._batch = null
+
+  this.errors$ = client._$errors(C.TOPIC.RECORD)
 
   this._syncEmitter = new EventEmitter()
   this._syncCounter = 0
@@ -30,6 +42,7 @@ const RecordHandler = function (options, connection, client) {
     hits: 0,
     misses: 0
   }
+  this._readLatency = new Histogram()
 
   this._schedule = options.schedule
   this._cache = new RecordCache(options, err => {
@@ -37,6 +50,11 @@ const RecordHandler = function (options, connection, client) {
       this._client._$onError(C.TOPIC.RECORD, C.EVENT.CACHE_ERROR, err)
     }
   })
+  this._outbox = new RecordOutbox(this._cache._db, options, err => {
+    if (err) {
+      this._client._$onError(C.TOPIC.RECORD, C.EVENT.CACHE_ERROR, err)
+    }
+  })
 
   Observable
     .fromEvent(this._client, 'connectionStateChanged')
@@ -53,6 +71,7 @@ const RecordHandler = function (options, connection, client) {
 
     if (this.connected) {
       const now = Date.now()
+      let pruned = 0
 
       for (const [rec, timestamp] of this._prune) {
         if (!rec.isReady) {
@@ -71,10 +90,19 @@ const RecordHandler = function (options, connection, client) {
         this._records.delete(rec.name)
         this._prune.delete(rec)
         rec._$destroy()
+        pruned += 1
+      }
+
+      if (pruned > 0 && this._logger) {
+        this._logger.debug({ pruned }, 'records pruned')
       }
     }
 
-    setTimeout(() => this._schedule ? this._schedule(prune) : prune(), 1000)
+    const timeout = setTimeout(() => this._schedule ? this._schedule(prune) : prune(), 1000)
+    // NOTE: Pruning should not keep the process alive, e.g. in tests.
+    if (timeout.unref) {
+      timeout.unref()
+    }
   }
 
   prune()
@@ -96,7 +124,9 @@ Object.defineProperty(RecordHandler.prototype, 'stats', {
   get: function stats () {
     return Object.assign({}, this._stats, {
       listeners: this._listeners.size,
-      records: this._records.size
+      records: this._records.size,
+      outbox: this._outbox.size,
+      readLatency: this._readLatency.toJSON()
     })
   }
 })
@@ -116,6 +146,24 @@ RecordHandler.prototype.getRecord = function (name) {
   return record
 }
 
+RecordHandler.prototype.configure = function (pattern, config) {
+  // NOTE: Compiled once rather than on every validation, which also rejects
+  // keywords that would otherwise be silently ignored.
+  if (config && config.schema !== undefined) {
+    config = { ...config, schema: jsonSchema.compile(config.schema) }
+  }
+
+  return this._config.add(pattern, config)
+}
+
+RecordHandler.prototype.defineSchema = function (pattern, schema) {
+  if (!schema || typeof schema !== 'object') {
+    throw new Error('invalid argument schema')
+  }
+
+  return this.configure(pattern, { schema })
+}
+
 RecordHandler.prototype.provide = function (pattern, callback, recursive = false) {
   if (typeof pattern !== 'string' || pattern.length === 0) {
     throw new Error('invalid argument pattern')
@@ -147,10 +195,16 @@ RecordHandler.prototype.provide = function (pattern, callback, recursive = false
 RecordHandler.prototype.sync = function () {
   // TODO (perf): Optimize
 
-  const pending = []
-  for (const rec of this._pending) {
+  // NOTE: Pending records are referenced until ready so that they aren't pruned meanwhile.
+  const pending = Array.from(this._pending)
+  for (const rec of pending) {
     rec.ref()
-    pending.push(new Promise(resolve => rec.once('ready', resolve)))
+  }
+
+  const unref = () => {
+    for (const rec of pending.splice(0)) {
+      rec.unref()
+    }
   }
 
   return new Promise(resolve => {
@@ -167,8 +221,8 @@ RecordHandler.prototype.sync = function () {
         if (!rec.isReady) {
           this._client._$onError(C.TOPIC.RECORD, C.EVENT.TIMEOUT, 'record timeout', [rec.name])
         }
-        rec.unref()
       }
+      unref()
 
       if (token) {
         this._syncEmitter.off(token)
@@ -182,8 +236,10 @@ RecordHandler.prototype.sync = function () {
     timeout = setTimeout(onTimeout, 2 * 60e3)
 
     return Promise
-      .all(pending)
+      .all(pending.map(rec => new Promise(resolve => rec.once('ready', resolve))))
       .then(() => {
+        unref()
+
         token = this._syncCounter.toString(16)
         this._syncCounter = (this._syncCounter + 1) & 2147483647
 
@@ -192,6 +248,10 @@ RecordHandler.prototype.sync = function () {
           resolve(true)
         })
 
+        if (this._logger) {
+          this._logger.debug({ token }, 'record sync')
+        }
+
         if (this.connected) {
           this._connection.sendMsg(C.TOPIC.RECORD, C.ACTIONS.SYNC, [token])
         }
@@ -199,6 +259,31 @@ RecordHandler.prototype.sync = function () {
   })
 }
 
+RecordHandler.prototype._$flush = function () {
+  return this
+    .sync()
+    .then(() => {
+      // NOTE: Unreferenced records are unsubscribed right away instead of when pruned.
+      for (const rec of this._prune.keys()) {
+        if (rec.isReady) {
+          this._records.delete(rec.name)
+          this._prune.delete(rec)
+          rec._$destroy()
+        }
+      }
+
+      return Promise.all([
+        this.sync(),
+        new Promise(resolve => this._cache.flush(err => {
+          if (err) {
+            this._client._$onError(C.TOPIC.RECORD, C.EVENT.CACHE_ERROR, err)
+          }
+          resolve()
+        }))
+      ])
+    })
+}
+
 RecordHandler.prototype.get = function (name, pathOrState, stateOrNil) {
   if (arguments.length === 2 && typeof pathOrState === 'number') {
     stateOrNil = pathOrState
@@ -214,12 +299,10 @@ RecordHandler.prototype.get = function (name, pathOrState, stateOrNil) {
     .toPromise()
 }
 
-RecordHandler.prototype.set = function (name, pathOrData, dataOrNil) {
+RecordHandler.prototype.set = function (name, ...args) {
   const record = this.getRecord(name)
   try {
-    return arguments.length === 2
-      ? record.set(pathOrData)
-      : record.set(pathOrData, dataOrNil)
+    return record.set(...args)
   } finally {
     record.unref()
   }
@@ -240,6 +323,146 @@ RecordHandler.prototype.update = function (name, pathOrUpdater, updaterOrNil) {
   }
 }
 
+RecordHandler.prototype.transaction = function (name, pathOrUpdater, updaterOrNil) {
+  const path = arguments.length === 2 ? undefined : pathOrUpdater
+  const updater = arguments.length === 2 ? pathOrUpdater : updaterOrNil
+
+  if (typeof updater !== 'function') {
+    return Promise.reject(new Error('invalid argument: updater'))
+  }
+
+  const record = this.getRecord(name)
+
+  const attempt = retries => record
+    .when(C.RECORD_STATE.SERVER)
+    .then(() => {
+      const version = record.version
+      return record.compareAndSet(version, path, updater(record.get(path), version))
+    })
+    .catch(err => {
+      if (err.code !== C.EVENT.VERSION_EXISTS || retries <= 0) {
+        throw err
+      }
+      return attempt(retries - 1)
+    })
+
+  return attempt(this._options.maxTransactionRetries)
+    .finally(() => {
+      record.unref()
+    })
+}
+
+// NOTE: Updates are sent as a single UPDATE_BATCH message which the server
+// applies either as a whole or not at all. Every op is validated before
+// anything is sent, so an invalid op fails the whole batch.
+RecordHandler.prototype.batch = function (fn) {
+  if (typeof fn !== 'function') {
+    return Promise.reject(new Error('invalid argument fn'))
+  }
+
+  const ops = []
+  const records = new Map()
+
+  const batch = {
+    set: (name, ...args) => {
+      ops.push({ name, args, updater: null })
+    },
+    update: (name, pathOrUpdater, updaterOrNil) => {
+      const path = updaterOrNil === undefined ? undefined : pathOrUpdater
+      const updater = updaterOrNil === undefined ? pathOrUpdater : updaterOrNil
+      if (typeof updater !== 'function') {
+        throw new Error('invalid argument: updater')
+      }
+      ops.push({ name, args: [path], updater })
+    }
+  }
+
+  return Promise
+    .resolve()
+    .then(() => fn(batch))
+    .then(() => {
+      for (const { name } of ops) {
+        if (!records.has(name)) {
+          records.set(name, this.getRecord(name))
+        }
+      }
+
+      return Promise.all(Array.from(records.values(), record => record.when(C.RECORD_STATE.SERVER)))
+    })
+    .then(() => {
+      if (
+        ops.length > 0 &&
+        (!this._connection.hasFeature(C.FEATURE.BATCH) || !this._connection.hasFeature(C.FEATURE.WRITE_ACK))
+      ) {
+        throw new RecordUpdateError('batch updates not supported', C.EVENT.UPDATE_ERROR, ops[0].name, null)
+      }
+
+      const writes = []
+      const pending = new Map()
+
+      for (const { name, args, updater } of ops) {
+        const record = records.get(name)
+        if (!record._isWritable()) {
+          throw new RecordUpdateError('cannot set', C.EVENT.UPDATE_ERROR, name, record.version)
+        }
+
+        // NOTE: Ops on the same record apply on top of each other.
+        const base = pending.has(record) ? pending.get(record) : record.data
+        const [path, data] = updater
+          ? [args[0], updater(jsonPath.get(base, args[0]), record.version)]
+          : args.length === 1 ? [undefined, args[0]] : args
+
+        const [, newData] = record._prepareSet(path, data, base)
+        pending.set(record, newData)
+        writes.push({ name, record, path, data })
+      }
+
+      const batch = { id: xuid(), updated: new Set(), writes: [] }
+      const results = []
+
+      this._batch = batch
+      try {
+        for (const { name, record, path, data } of writes) {
+          const promise = path === undefined
+            ? record.set(data, { ack: true })
+            : record.set(path, data, { ack: true })
+          results.push(promise.then(version => ({ name, version }), error => ({ name, error })))
+        }
+      } finally {
+        this._batch = null
+      }
+
+      if (
+        batch.writes.length > 0 &&
+        !this._connection.sendMsg(C.TOPIC.RECORD, C.ACTIONS.UPDATE_BATCH, [batch.id, ...batch.writes])
+      ) {
+        // NOTE: E.g. too large, none of the writes were sent.
+        for (let i = 0; i < batch.writes.length; i += 4) {
+          const name = batch.writes[i]
+          const version = batch.writes[i + 1]
+          const record = records.get(name)
+          this._outbox.remove(name, version)
+          if (record._acks) {
+            record._settleAcks(version, C.EVENT.UPDATE_ERROR)
+          }
+        }
+      }
+
+      this._syncCount += 1
+      for (const record of batch.updated) {
+        record.emit('update', record)
+      }
+      this._syncCount -= 1
+
+      return Promise.all(results)
+    })
+    .finally(() => {
+      for (const record of records.values()) {
+        record.unref()
+      }
+    })
+}
+
 RecordHandler.prototype.observe = function (name, pathOrState, stateOrNil) {
   if (arguments.length === 2 && typeof pathOrState === 'number') {
     stateOrNil = pathOrState
@@ -272,6 +495,50 @@ RecordHandler.prototype.observe = function (name, pathOrState, stateOrNil) {
     .distinctUntilChanged()
 }
 
+RecordHandler.prototype.observeChanges = function (name, pathOrState, stateOrNil) {
+  if (arguments.length === 2 && typeof pathOrState === 'number') {
+    stateOrNil = pathOrState
+    pathOrState = undefined
+  }
+  const path = pathOrState
+  const state = stateOrNil == null ? 2 : stateOrNil
+
+  if (!name) {
+    return Observable.empty()
+  }
+
+  return Observable
+    .create(o => {
+      let prev = path ? undefined : jsonPath.EMPTY
+      const onUpdate = record => {
+        if (state && record.state < state) {
+          return
+        }
+
+        const next = record.get(path)
+        if (next === prev) {
+          return
+        }
+
+        const changes = jsonPath.changes(prev, next, path)
+        prev = next
+
+        if (changes.length > 0) {
+          o.next({ version: record.version, changes })
+        }
+      }
+      const record = this.getRecord(name)
+      if (record.version) {
+        onUpdate(record)
+      }
+      record.on('update', onUpdate)
+      return () => {
+        record.off('update', onUpdate)
+        record.unref()
+      }
+    })
+}
+
 RecordHandler.prototype.observe2 = function (name) {
   if (!name) {
     return Observable.of(utils.deepFreeze({
@@ -314,10 +581,23 @@ RecordHandler.prototype._$handle = function (message) {
   }
 
   const record = this._records.get(name)
+
+  // NOTE: Writes are acknowledged regardless of subscription, e.g. replayed
+  // writes to records which aren't open.
+  if (message.action === C.ACTIONS.WRITE_ACKNOWLEDGEMENT) {
+    this._outbox.confirm(name, message.data[1])
+  } else if (message.action === C.ACTIONS.ERROR && isWriteError(message.data)) {
+    this._outbox.remove(name, message.data[2])
+  }
+
   if (record && record._$onMessage(message)) {
     return true
   }
 
+  if (message.action === C.ACTIONS.WRITE_ACKNOWLEDGEMENT) {
+    return true
+  }
+
   const listener = this._listeners.get(name)
   if (listener && listener._$onMessage(message)) {
     return true
@@ -327,6 +607,52 @@ RecordHandler.prototype._$handle = function (message) {
 }
 
 RecordHandler.prototype._handleConnectionStateChange = function (connected) {
+  // NOTE: Replayed writes, reads and syncs are sent as few packets.
+  if (connected) {
+    this._connection.cork()
+  }
+  try {
+    this._onConnectionStateChange(connected)
+  } finally {
+    if (connected) {
+      this._connection.uncork()
+    }
+  }
+}
+
+RecordHandler.prototype._onConnectionStateChange = function (connected) {
+  if (connected) {
+    // NOTE: Replay before records re-subscribe so that reads reflect unconfirmed writes.
+    this._outbox.replay(entries => {
+      if (!this.connected) {
+        return
+      }
+
+      if (entries.length > 1) {
+        // NOTE: Kept journaled rather than applied one by one, see batch.
+        if (!this._connection.hasFeature(C.FEATURE.BATCH)) {
+          return
+        }
+        const data = [entries[0].batch]
+        for (const { name, version, body, prevVersion } of entries) {
+          data.push(name, version, body, prevVersion)
+        }
+        this._connection.sendMsg(C.TOPIC.RECORD, C.ACTIONS.UPDATE_BATCH, data)
+      } else {
+        const [{ name, version, body, prevVersion, conditional }] = entries
+        const action = conditional ? C.ACTIONS.UPDATE_CONDITIONAL : C.ACTIONS.UPDATE
+        this._connection.sendMsg(C.TOPIC.RECORD, action, [name, version, body, prevVersion])
+      }
+
+      // NOTE: E.g. journaled before a restart, sent once as it can't be confirmed.
+      if (!this._connection.hasFeature(C.FEATURE.WRITE_ACK)) {
+        for (const { name, version } of entries) {
+          this._outbox.remove(name, version)
+        }
+      }
+    })
+  }
+
   for (const record of this._records.values()) {
     record._$handleConnectionStateChange(connected)
   }
@@ -343,4 +669,12 @@ RecordHandler.prototype._handleConnectionStateChange = function (connected) {
   }
 }
 
+function isWriteError ([event, , version]) {
+  return Boolean(version) && (
+    event === C.EVENT.UPDATE_ERROR ||
+    event === C.EVENT.MESSAGE_DENIED ||
+    event === C.EVENT.VERSION_EXISTS
+  )
+}
+
 module.exports = RecordHandler
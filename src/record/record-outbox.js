@@ -0,0 +1,201 @@
+const utils = require('../utils/utils')
+
+// NOTE: Shares the cacheDb with RecordCache, hence the prefix.
+const PREFIX = '\u0000outbox\u0000'
+
+// NOTE: Holds the latest unconfirmed write per record, which supersedes the
+// previous ones since every write carries the full body. Only used when the
+// server acknowledges writes, otherwise nothing would ever be confirmed.
+const RecordOutbox = function (db, options, callback) {
+  this._db = db
+  this._size = options.outboxSize
+  this._maxAge = options.outboxMaxAge
+  this._logger = options.logger
+  this._callback = callback
+  this._entries = []
+  this._seq = 0
+  this._loading = Boolean(db)
+  this._replay = null
+
+  if (this._db) {
+    this._load()
+  }
+}
+
+Object.defineProperty(RecordOutbox.prototype, 'size', {
+  get: function size () {
+    return this._entries.length
+  }
+})
+
+RecordOutbox.prototype.add = function (name, version, body, prevVersion, conditional = false, batch = null) {
+  const entry = { key: null, name, version, body, prevVersion, conditional, batch, timestamp: Date.now() }
+  this._entries = this._supersede(this._entries, entry)
+  if (!this._loading) {
+    this._put(entry)
+    this._trim()
+  }
+}
+
+RecordOutbox.prototype.has = function (name, version) {
+  return this._entries.some(entry => entry.name === name && entry.version === version)
+}
+
+RecordOutbox.prototype.get = function (name) {
+  return this._entries.find(entry => entry.name === name) || null
+}
+
+RecordOutbox.prototype.confirm = function (name, version) {
+  // Every entry up to the last one the server version is same or newer
+  // than has either been applied or superseded, replaying it is pointless.
+  let last = -1
+  for (let i = 0; i < this._entries.length; i++) {
+    const entry = this._entries[i]
+    if (entry.name === name && utils.isSameOrNewer(version, entry.version)) {
+      last = i
+    }
+  }
+
+  if (last === -1) {
+    return
+  }
+
+  const entries = []
+  for (let i = 0; i < this._entries.length; i++) {
+    const entry = this._entries[i]
+    if (i <= last && entry.name === name) {
+      this._del(entry)
+    } else {
+      entries.push(entry)
+    }
+  }
+  this._entries = entries
+}
+
+RecordOutbox.prototype.remove = function (name, version) {
+  const idx = this._entries.findIndex(entry => entry.name === name && entry.version === version)
+  if (idx !== -1) {
+    this._del(this._entries[idx])
+    this._entries.splice(idx, 1)
+  }
+}
+
+RecordOutbox.prototype.replay = function (send) {
+  if (this._loading) {
+    this._replay = send
+    return
+  }
+
+  this._expire()
+
+  // NOTE: Entries written in the same batch are replayed together.
+  const groups = new Map()
+  for (const entry of this._entries) {
+    const key = entry.batch || entry
+    if (!groups.has(key)) {
+      groups.set(key, [])
+    }
+    groups.get(key).push(entry)
+  }
+
+  for (const entries of groups.values()) {
+    send(entries)
+  }
+}
+
+RecordOutbox.prototype._load = function () {
+  const entries = []
+
+  this._db
+    .createReadStream({ gt: PREFIX, lt: PREFIX + '\uffff' })
+    .on('data', ({ key, value }) => {
+      const [name, version, body, prevVersion, timestamp = Date.now(), conditional = false, batch = null] = value
+      entries.push({ key, name, version, body, prevVersion, conditional, batch, timestamp })
+    })
+    .on('error', err => {
+      this._callback(err)
+      this._onLoaded([])
+    })
+    .on('end', () => {
+      this._onLoaded(entries)
+    })
+}
+
+RecordOutbox.prototype._onLoaded = function (entries) {
+  if (!this._loading) {
+    return
+  }
+
+  this._loading = false
+
+  if (entries.length > 0) {
+    this._seq = parseInt(entries[entries.length - 1].key.slice(PREFIX.length), 10) + 1
+  }
+
+  for (const entry of this._entries) {
+    this._put(entry)
+  }
+  this._entries = this._entries.reduce((entries, entry) => this._supersede(entries, entry), entries)
+  this._expire()
+  this._trim()
+
+  if (this._replay) {
+    const send = this._replay
+    this._replay = null
+    this.replay(send)
+  }
+}
+
+RecordOutbox.prototype._put = function (entry) {
+  if (!this._db) {
+    return
+  }
+
+  entry.key = PREFIX + String(this._seq++).padStart(16, '0')
+  this._db.put(entry.key, [entry.name, entry.version, entry.body, entry.prevVersion, entry.timestamp, entry.conditional, entry.batch], this._callback)
+}
+
+RecordOutbox.prototype._supersede = function (entries, entry) {
+  const prev = entries.find(({ name }) => name === entry.name)
+  if (prev) {
+    this._del(prev)
+  }
+  return entries.filter(e => e !== prev).concat(entry)
+}
+
+RecordOutbox.prototype._trim = function () {
+  while (this._entries.length > this._size) {
+    this._drop(this._entries.shift(), 'outbox full')
+  }
+}
+
+RecordOutbox.prototype._expire = function () {
+  const now = Date.now()
+  const expired = this._entries.filter(entry => now - entry.timestamp > this._maxAge)
+  if (expired.length === 0) {
+    return
+  }
+
+  this._entries = this._entries.filter(entry => !expired.includes(entry))
+  for (const entry of expired) {
+    this._drop(entry, 'outbox entry expired')
+  }
+}
+
+// NOTE: Not an error, the write may well have been applied, its ack is lost.
+RecordOutbox.prototype._drop = function (entry, reason) {
+  this._del(entry)
+  if (this._logger) {
+    this._logger.warn({ name: entry.name, version: entry.version, reason }, 'record outbox entry dropped')
+  }
+}
+
+RecordOutbox.prototype._del = function (entry) {
+  if (!this._db || !entry.key) {
+    return
+  }
+
+  this._db.del(entry.key, this._callback)
+}
+
+module.exports = RecordOutbox
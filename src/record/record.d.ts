@@ -0,0 +1,63 @@
+import { Get, Path } from './json-path'
+
+declare namespace Record {
+  interface SetOptions {
+    /** Resolve once the server has acknowledged the written version. */
+    ack?: boolean
+  }
+
+  interface Conflict<T> {
+    paths: Array<string | undefined>
+    base: T | null
+    local: T
+    remote: T
+  }
+
+  interface HistoryEntry<T> {
+    version: string
+    data: T
+  }
+}
+
+declare class Record<T = any> {
+  static STATE: {
+    VOID: 0
+    CLIENT: 1
+    SERVER: 2
+    PROVIDER: 3
+  }
+
+  readonly name: string
+  readonly version: string | null
+  readonly data: T
+  readonly state: number
+
+  get (): T
+  get<P extends string> (path: Path<T, P>): Get<T, P>
+
+  set (data: T, options?: Record.SetOptions): Promise<string | void>
+  set<P extends string> (path: Path<T, P>, data: Get<T, P>, options?: Record.SetOptions): Promise<string | void>
+
+  update (updater: (data: T, version: string) => T): Promise<void>
+  update<P extends string> (path: Path<T, P>, updater: (value: Get<T, P>, version: string) => Get<T, P>): Promise<void>
+
+  compareAndSet (expectedVersion: string, data: T): Promise<string>
+  compareAndSet<P extends string> (expectedVersion: string, path: Path<T, P>, data: Get<T, P>): Promise<string>
+
+  when (state?: number): Promise<void>
+
+  history (): Array<Record.HistoryEntry<T>>
+  undo (): Promise<string | void>
+  redo (): Promise<string | void>
+
+  ref (): void
+  unref (): void
+
+  on (event: 'update', callback: (record: this) => void): this
+  on (event: 'conflict', callback: (conflict: Record.Conflict<T>) => void): this
+  on (event: string, callback: (...args: any[]) => void): this
+  once (event: string, callback: (...args: any[]) => void): this
+  off (event?: string, callback?: (...args: any[]) => void): this
+}
+
+export = Record
@@ -1,10 +1,14 @@
 const jsonPath = require('./json-path')
+const merge = require('./merge')
+const jsonPatch = require('./json-patch')
+const jsonSchema = require('./json-schema')
 const utils = require('../utils/utils')
 const EventEmitter = require('component-emitter2')
 const C = require('../constants/constants')
 const messageParser = require('../message/message-parser')
 const xuid = require('xuid')
 const invariant = require('invariant')
+const { RecordUpdateError } = require('../utils/errors')
 
 const Record = function (name, handler) {
   this._handler = handler
@@ -12,8 +16,10 @@ const Record = function (name, handler) {
   this._prune = handler._prune
   this._pending = handler._pending
   this._cache = handler._cache
+  this._outbox = handler._outbox
   this._client = handler._client
   this._connection = handler._connection
+  this._logger = handler._logger
 
   this.name = name
   this.version = null
@@ -26,6 +32,18 @@ const Record = function (name, handler) {
   this._staleDirty = false
   this._staleVersion = null
   this._staleData = null
+  this._acks = null
+  this._delta = null
+  this._conditional = null
+  this._history = null
+  this._readAt = null
+
+  // NOTE: Resolved once, configure applies to records created afterwards.
+  const historySize = this._handler._config.get(name, 'history')
+  if (historySize > 0) {
+    this._history = { size: historySize, versions: [], undo: [], redo: [], navigating: false }
+    this.on('update', () => this._onHistoryUpdate())
+  }
 
   this.ref()
   this._cache.get(this.name, (err, entry) => {
@@ -76,6 +94,11 @@ Record.prototype._$destroy = function () {
   this._subscribed = false
   this._provided = null
   this._patchQueue = this._patchQueue || []
+  this._readAt = null
+
+  if (this._logger) {
+    this._logger.debug({ name: this.name, version: this.version }, 'record destroy')
+  }
 
   // TODO (fix): Ensure unsubscribe is acked.
   this._connection.sendMsg1(C.TOPIC.RECORD, C.ACTIONS.UNSUBSCRIBE, this.name)
@@ -110,27 +133,74 @@ Record.prototype.get = function (path) {
   return jsonPath.get(this.data, path)
 }
 
-Record.prototype.set = function (pathOrData, dataOrNil) {
+Record.prototype.set = function (pathOrData, dataOrOptions, optionsOrNil) {
   invariant(this._usages > 0, 'must have refs')
 
-  if (this._usages === 0 || this._provided) {
+  // set(data), set(data, options), set(path, data) or set(path, data, options)
+  const isRoot = arguments.length === 1 || (arguments.length === 2 && utils.isPlainObject(pathOrData))
+  const path = isRoot ? undefined : pathOrData
+  const data = isRoot ? pathOrData : dataOrOptions
+  const options = (isRoot ? dataOrOptions : optionsOrNil) || {}
+  const ack = Boolean(options.ack)
+
+  if (this._usages === 0 || !this._isWritable()) {
     this._client._$onError(C.TOPIC.RECORD, C.EVENT.UPDATE_ERROR, 'cannot set', [this.name, this.version, this.state])
-    return Promise.resolve()
+    return ack
+      ? Promise.reject(new RecordUpdateError('cannot set', C.EVENT.UPDATE_ERROR, this.name, this.version))
+      : Promise.resolve()
   }
 
-  if (this.version && this.version.startsWith('INF')) {
-    this._client._$onError(C.TOPIC.RECORD, C.EVENT.UPDATE_ERROR, 'cannot set', [this.name, this.version, this.state])
-    return Promise.resolve()
+  const [jsonData, newData] = this._prepareSet(path, data)
+
+  if (this._patchQueue) {
+    this._patchQueue = path ? this._patchQueue : []
+    this._patchQueue.push(path, jsonData)
+    this._pending.add(this)
   }
 
-  if (this.name.startsWith('_')) {
-    this._client._$onError(C.TOPIC.RECORD, C.EVENT.UPDATE_ERROR, 'cannot set', [this.name, this.version, this.state])
-    return Promise.resolve()
+  if (newData === this.data) {
+    return ack ? this._ack(this._patchQueue ? null : this.version) : Promise.resolve()
+  }
+
+  const prevData = this.data
+
+  this.data = utils.deepFreeze(newData)
+
+  const history = this._history
+  if (history && !history.navigating) {
+    pushBounded(history.undo, { prev: prevData, next: this.data }, history.size)
+    history.redo.length = 0
+  }
+
+  if (!this._patchQueue) {
+    this._sendUpdate()
+  } else {
+    const [start] = this.version ? this.version.split('-') : ['0']
+    this.version = this._makeVersion(start)
+  }
+
+  if (this._handler._batch) {
+    this._handler._batch.updated.add(this)
+  } else {
+    this._handler._syncCount += 1
+    this.emit('update', this)
+    this._handler._syncCount -= 1
   }
 
-  const path = arguments.length === 1 ? undefined : pathOrData
-  const data = arguments.length === 1 ? pathOrData : dataOrNil
+  if (ack) {
+    return this._ack(this._patchQueue ? null : this.version)
+  }
 
+  return this.isReady
+    ? Promise.resolve()
+    : new Promise(resolve => this.once('ready', resolve))
+}
+
+Record.prototype._isWritable = function () {
+  return !this._provided && !(this.version && this.version.startsWith('INF')) && !this.name.startsWith('_')
+}
+
+Record.prototype._prepareSet = function (path, data, base = this.data) {
   if (path === undefined && !utils.isPlainObject(data)) {
     throw new Error('invalid argument: data')
   }
@@ -144,34 +214,174 @@ Record.prototype.set = function (pathOrData, dataOrNil) {
   // TODO (perf): Avoid clone
   const jsonData = jsonPath.jsonClone(data)
 
-  const newData = jsonPath.set(this.data, path, jsonData, true)
+  const newData = jsonPath.set(base, path, jsonData, true)
 
-  if (this._patchQueue) {
-    this._patchQueue = path ? this._patchQueue : []
-    this._patchQueue.push(path, jsonData)
-    this._pending.add(this)
+  const schema = this._handler._config.get(this.name, 'schema')
+  if (schema && newData !== base) {
+    const errors = jsonSchema.validate(schema, newData)
+    if (errors.length > 0) {
+      const err = new RecordUpdateError('invalid data', C.EVENT.UPDATE_ERROR, this.name, this.version)
+      err.errors = errors
+      throw err
+    }
   }
 
-  if (newData === this.data) {
+  return [jsonData, newData]
+}
+
+// NOTE: The version is null while the record is not ready, the write is only
+// sent, and its version known, once the patch queue is merged, see _bindAcks.
+Record.prototype._ack = function (version) {
+  if (version && !this._connection.hasFeature(C.FEATURE.WRITE_ACK)) {
+    return Promise.reject(new RecordUpdateError('write acknowledgements not supported', C.EVENT.UPDATE_ERROR, this.name, version))
+  }
+
+  if (version && !this._outbox.has(this.name, version)) {
+    return Promise.resolve(version)
+  }
+
+  this.ref()
+  return new Promise((resolve, reject) => {
+    const ack = { version, resolve, reject, timeout: null }
+    ack.timeout = setTimeout(() => {
+      this._acks.splice(this._acks.indexOf(ack), 1)
+      if (this._acks.length === 0) {
+        this._acks = null
+      }
+      reject(new RecordUpdateError('ack timeout', C.EVENT.TIMEOUT, this.name, ack.version))
+    }, 2 * 60e3)
+
+    this._acks = this._acks || []
+    this._acks.push(ack)
+  }).finally(() => {
+    this.unref()
+  })
+}
+
+Record.prototype._bindAcks = function () {
+  const supported = this._connection.hasFeature(C.FEATURE.WRITE_ACK)
+  const acks = []
+
+  for (const ack of this._acks) {
+    let err = null
+    if (!supported) {
+      err = new RecordUpdateError('write acknowledgements not supported', C.EVENT.UPDATE_ERROR, this.name, ack.version)
+    } else if (!ack.version) {
+      ack.version = this.version
+      if (this._outbox.has(this.name, ack.version)) {
+        acks.push(ack)
+        continue
+      }
+    } else if (!this._outbox.has(this.name, ack.version)) {
+      const entry = this._outbox.get(this.name)
+      if (entry && isOlderWrite(ack.version, entry.version)) {
+        // NOTE: Superseded by a later write of ours, settled together with it.
+        acks.push(ack)
+        continue
+      }
+      // NOTE: Confirmed by a newer version without being acknowledged.
+      err = new RecordUpdateError('version superseded', C.EVENT.VERSION_EXISTS, this.name, ack.version)
+    } else {
+      acks.push(ack)
+      continue
+    }
+
+    clearTimeout(ack.timeout)
+    if (err) {
+      ack.reject(err)
+    } else {
+      ack.resolve(ack.version)
+    }
+  }
+
+  this._acks = acks.length > 0 ? acks : null
+}
+
+// NOTE: Settles the acks for version, and for earlier writes of ours which it
+// carries, or all acks when version is null.
+Record.prototype._settleAcks = function (version, event) {
+  const acks = []
+
+  for (const ack of this._acks) {
+    if (version && ack.version !== version && !(ack.version && isOlderWrite(ack.version, version))) {
+      acks.push(ack)
+      continue
+    }
+
+    clearTimeout(ack.timeout)
+    if (event) {
+      ack.reject(new RecordUpdateError(event, event, this.name, ack.version))
+    } else {
+      ack.resolve(ack.version)
+    }
+  }
+
+  this._acks = acks.length > 0 ? acks : null
+}
+
+Record.prototype.history = function () {
+  invariant(this._usages > 0, 'must have refs')
+
+  return this._history ? this._history.versions.slice(0) : []
+}
+
+Record.prototype.undo = function () {
+  invariant(this._usages > 0, 'must have refs')
+
+  const history = this._history
+  if (!history || history.undo.length === 0) {
     return Promise.resolve()
   }
 
-  this.data = utils.deepFreeze(newData)
+  const entry = history.undo[history.undo.length - 1]
 
-  if (!this._patchQueue) {
-    this._sendUpdate()
-  } else {
-    const [start] = this.version ? this.version.split('-') : ['0']
-    this.version = this._makeVersion(start)
+  // NOTE: Only revert what the write changed, keeping later changes from others.
+  return this._navigate(history, merge.threeWay(entry.next, entry.prev, this.data, []), () => {
+    history.undo.pop()
+    history.redo.push(entry)
+  })
+}
+
+Record.prototype.redo = function () {
+  invariant(this._usages > 0, 'must have refs')
+
+  const history = this._history
+  if (!history || history.redo.length === 0) {
+    return Promise.resolve()
   }
 
-  this._handler._syncCount += 1
-  this.emit('update', this)
-  this._handler._syncCount -= 1
+  const entry = history.redo[history.redo.length - 1]
 
-  return this.isReady
-    ? Promise.resolve()
-    : new Promise(resolve => this.once('ready', resolve))
+  return this._navigate(history, merge.threeWay(entry.prev, entry.next, this.data, []), () => {
+    history.redo.pop()
+    history.undo.push(entry)
+  })
+}
+
+// NOTE: The entry is only moved once written, set throws on e.g. invalid data.
+Record.prototype._navigate = function (history, data, onWrite) {
+  const writable = this._isWritable()
+
+  history.navigating = true
+  try {
+    const promise = this.set(undefined, data === undefined ? jsonPath.EMPTY : data)
+    if (writable) {
+      onWrite()
+    }
+    return promise
+  } finally {
+    history.navigating = false
+  }
+}
+
+Record.prototype._onHistoryUpdate = function () {
+  const { versions, size } = this._history
+
+  if (!this.version || (versions.length > 0 && versions[versions.length - 1].version === this.version)) {
+    return
+  }
+
+  pushBounded(versions, { version: this.version, data: this.data }, size)
 }
 
 Record.prototype.when = function (stateOrNull) {
@@ -251,6 +461,49 @@ Record.prototype.update = function (pathOrUpdater, updaterOrNil) {
     })
 }
 
+Record.prototype.compareAndSet = function (expectedVersion, pathOrData, dataOrNil) {
+  invariant(this._usages > 0, 'must have refs')
+
+  const path = arguments.length === 2 ? undefined : pathOrData
+  const data = arguments.length === 2 ? pathOrData : dataOrNil
+
+  this.ref()
+  return this
+    .when(Record.STATE.SERVER)
+    .then(() => {
+      if (
+        !this._connection.hasFeature(C.FEATURE.CONDITIONAL_UPDATE) ||
+        !this._connection.hasFeature(C.FEATURE.WRITE_ACK)
+      ) {
+        throw new RecordUpdateError('conditional updates not supported', C.EVENT.UPDATE_ERROR, this.name, this.version)
+      }
+      if (!this._isWritable()) {
+        throw new RecordUpdateError('cannot set', C.EVENT.UPDATE_ERROR, this.name, this.version)
+      }
+      if (this.version !== expectedVersion) {
+        throw new RecordUpdateError('version conflict', C.EVENT.VERSION_EXISTS, this.name, this.version)
+      }
+
+      const [, newData] = this._prepareSet(path, data)
+
+      const [start] = expectedVersion.split('-')
+      const version = this._makeVersion(parseInt(start, 10) + 1)
+      const body = JSON.stringify(newData)
+
+      // NOTE: The server rejects the update unless it still has expectedVersion,
+      // hence it is only applied locally once acknowledged, see _onWriteAck.
+      this._conditional = this._conditional || new Map()
+      this._conditional.set(version, body)
+      this._outbox.add(this.name, version, body, expectedVersion, true)
+      this._connection.sendMsg(C.TOPIC.RECORD, C.ACTIONS.UPDATE_CONDITIONAL, [this.name, version, body, expectedVersion])
+
+      return this._ack(version)
+    })
+    .finally(() => {
+      this.unref()
+    })
+}
+
 Record.prototype.ref = function () {
   this._usages += 1
   if (this._usages === 1) {
@@ -271,14 +524,77 @@ Record.prototype.unref = function () {
 Record.prototype._$onMessage = function (message) {
   if (message.action === C.ACTIONS.UPDATE) {
     this._onUpdate(message.data)
+  } else if (message.action === C.ACTIONS.UPDATE_DELTA) {
+    this._onUpdateDelta(message.data)
   } else if (message.action === C.ACTIONS.SUBSCRIPTION_HAS_PROVIDER) {
     this._onSubscriptionHasProvider(message.data)
+  } else if (message.action === C.ACTIONS.WRITE_ACKNOWLEDGEMENT) {
+    this._onWriteAck(message.data)
+  } else if (message.action === C.ACTIONS.ERROR) {
+    this._onError(message.data)
+    // NOTE: Not handled, error is still surfaced through the client.
+    return false
   } else {
     return false
   }
   return true
 }
 
+Record.prototype._onError = function ([event, , errorVersion]) {
+  if (this._delta && event === C.EVENT.UPDATE_ERROR && (!errorVersion || errorVersion === this._delta.version)) {
+    // NOTE: Server could not apply the delta, fallback to the full body,
+    // which is journaled again as the error removed it from the outbox.
+    const { version, body, prevVersion } = this._delta
+    this._delta = null
+    if (this._connection.hasFeature(C.FEATURE.WRITE_ACK)) {
+      this._outbox.add(this.name, version, body, prevVersion)
+    }
+    this._connection.sendMsg(C.TOPIC.RECORD, C.ACTIONS.UPDATE, [this.name, version, body, prevVersion])
+    return
+  }
+
+  if (this._conditional) {
+    if (errorVersion) {
+      this._conditional.delete(errorVersion)
+    } else {
+      this._conditional = null
+    }
+  }
+
+  if (
+    this._acks &&
+    (event === C.EVENT.UPDATE_ERROR || event === C.EVENT.MESSAGE_DENIED || event === C.EVENT.VERSION_EXISTS)
+  ) {
+    this._settleAcks(errorVersion || null, event)
+  }
+}
+
+Record.prototype._onWriteAck = function ([, version]) {
+  const body = this._conditional ? this._conditional.get(version) : undefined
+  if (body !== undefined) {
+    this._conditional.delete(version)
+    // NOTE: Otherwise the pending read returns it.
+    if (!this._patchQueue) {
+      this._onUpdate([this.name, version, body])
+    }
+  }
+
+  if (this._delta && utils.isSameOrNewer(version, this._delta.version)) {
+    this._delta = null
+  }
+
+  if (version === this.version) {
+    // NOTE: The server now has this version, deltas can be based on it.
+    this._staleDirty = true
+    this._staleVersion = version
+    this._staleData = this.data
+  }
+
+  if (this._acks) {
+    this._settleAcks(version)
+  }
+}
+
 Record.prototype._onSubscriptionHasProvider = function (data) {
   invariant(this.connected, 'must be connected')
 
@@ -291,19 +607,57 @@ Record.prototype._onSubscriptionHasProvider = function (data) {
   invariant(provided === null || typeof provided === 'string', 'provided must be null or string')
 
   this._provided = provided
+  if (this._logger) {
+    this._logger.debug({ name: this.name, version: this.version, provided }, 'record provider changed')
+  }
   this.emit('update', this)
 }
 
+Record.prototype._onUpdateDelta = function ([name, version, patch, prevVersion]) {
+  let data
+  try {
+    if (!this._staleVersion || this._staleVersion !== prevVersion) {
+      throw new Error('missing delta base')
+    }
+    data = jsonPatch.apply(this._staleData, typeof patch === 'string' ? JSON.parse(patch) : patch)
+  } catch (err) {
+    this._client._$onError(C.TOPIC.RECORD, C.EVENT.UPDATE_ERROR, err, [this.name, this.version, this.state, version, prevVersion])
+
+    // NOTE: Re-read to get the full body.
+    this._subscribed = false
+    this._subscribe()
+    return
+  }
+
+  this._onUpdate([name, version, data])
+}
+
 Record.prototype._onUpdate = function ([name, version, data]) {
   try {
     if (!version) {
       throw new Error('missing version')
     }
 
+    if (this._logger) {
+      this._logger.trace({ name: this.name, version }, 'record receive')
+    }
+
+    this._outbox.confirm(this.name, version)
+
+    if (this._delta && utils.isSameOrNewer(version, this._delta.version)) {
+      this._delta = null
+    }
+
     if (utils.isSameOrNewer(this.version, version)) {
       // TODO (fix): What to do when client version is newer than server version?
 
       if (!this._patchQueue) {
+        if (version === this.version && data !== undefined) {
+          // NOTE: Echo of our own update, the server now has this version.
+          this._staleDirty = true
+          this._staleVersion = version
+          this._staleData = this.data
+        }
         return
       }
 
@@ -311,12 +665,18 @@ Record.prototype._onUpdate = function ([name, version, data]) {
         // TODO (fix): This is weird...
         this._patchQueue = null
         this._pending.delete(this)
+        if (this._acks) {
+          this._settleAcks(null, C.EVENT.UPDATE_ERROR)
+        }
+        this._onReady()
         this.emit('ready') // TODO: Deprecate
         this.emit('update', this)
         return
       }
     }
 
+    const base = this._staleData
+
     if (this._staleVersion === version) {
       data = this._staleData
       data = jsonPath.set(this.data, null, data, true)
@@ -328,6 +688,15 @@ Record.prototype._onUpdate = function ([name, version, data]) {
       }
       data = jsonPath.set(this.data, null, data, true)
 
+      const schema = this._handler._config.get(this.name, 'schema')
+      const errors = schema ? jsonSchema.validate(schema, data) : []
+      if (errors.length > 0) {
+        // NOTE: Server version is still applied, it is the source of truth.
+        const err = new RecordUpdateError('invalid data', C.EVENT.UPDATE_ERROR, this.name, version)
+        err.errors = errors
+        this._client._$onError(C.TOPIC.RECORD, C.EVENT.UPDATE_ERROR, err, [this.name, version, errors.map(({ path }) => path)])
+      }
+
       this._staleDirty = true
       this._staleVersion = version
       this._staleData = data
@@ -340,9 +709,7 @@ Record.prototype._onUpdate = function ([name, version, data]) {
 
     if (this._patchQueue) {
       if (!this.version.startsWith('INF')) {
-        for (let i = 0; i < this._patchQueue.length; i += 2) {
-          this.data = jsonPath.set(this.data, this._patchQueue[i + 0], this._patchQueue[i + 1], true)
-        }
+        this.data = this._merge(base, oldValue, data)
         if (this.data !== data) {
           this._sendUpdate()
         }
@@ -356,6 +723,10 @@ Record.prototype._onUpdate = function ([name, version, data]) {
 
       this._patchQueue = null
       this._pending.delete(this)
+      if (this._acks) {
+        this._bindAcks()
+      }
+      this._onReady()
       this.emit('ready') // TODO: Deprecate
     } else if (this.data !== oldValue) {
       this.data = utils.deepFreeze(this.data)
@@ -366,6 +737,35 @@ Record.prototype._onUpdate = function ([name, version, data]) {
   }
 }
 
+Record.prototype._merge = function (base, local, remote) {
+  const strategy = this._handler._config.get(this.name, 'mergeStrategy') || C.MERGE_STRATEGY.LAST_WRITER_WINS
+
+  if (this._patchQueue.length === 0) {
+    return remote
+  }
+
+  if (typeof strategy === 'function') {
+    return jsonPath.set(remote, null, strategy(base, local, remote, this), false)
+  }
+
+  const conflicts = []
+
+  let data
+  if (strategy === C.MERGE_STRATEGY.THREE_WAY && base) {
+    data = merge.threeWay(base, local, remote, conflicts)
+  } else if (strategy === C.MERGE_STRATEGY.LAST_WRITER_WINS || strategy === C.MERGE_STRATEGY.THREE_WAY) {
+    data = merge.lastWriterWins(base, remote, this._patchQueue, conflicts)
+  } else {
+    throw new Error(`invalid merge strategy ${strategy}`)
+  }
+
+  if (conflicts.length > 0) {
+    this.emit('conflict', { paths: conflicts, base, local, remote })
+  }
+
+  return data
+}
+
 Record.prototype._sendUpdate = function () {
   let [start] = this.version ? this.version.split('-') : ['0']
 
@@ -380,15 +780,44 @@ Record.prototype._sendUpdate = function () {
   const prevVersion = this.version || ''
 
   const body = JSON.stringify(this.data)
-
-  // TODO (fix): This might never make it to server during e.g.
-  // a disconnect.
-  this._connection.sendMsg(C.TOPIC.RECORD, C.ACTIONS.UPDATE, [
-    this.name,
-    nextVersion,
-    body,
-    prevVersion
-  ])
+  const batch = this._handler._batch
+
+  // NOTE: Journaled until the server confirms the version since this
+  // might never make it to server during e.g. a disconnect.
+  if (this._connection.hasFeature(C.FEATURE.WRITE_ACK)) {
+    this._outbox.add(this.name, nextVersion, body, prevVersion, false, batch ? batch.id : null)
+  }
+
+  // NOTE: Only send deltas against a version the server is known to have.
+  const patch = !batch && prevVersion && prevVersion === this._staleVersion && this._connection.hasFeature(C.FEATURE.DELTA)
+    ? JSON.stringify(jsonPatch.diff(this._staleData, this.data))
+    : null
+
+  if (this._logger) {
+    this._logger.trace({ name: this.name, version: nextVersion, prevVersion }, 'record update')
+  }
+
+  if (batch) {
+    // NOTE: Sent with the rest of the batch, see RecordHandler.batch.
+    this._delta = null
+    batch.writes.push(this.name, nextVersion, body, prevVersion)
+  } else if (patch && patch.length < body.length) {
+    this._delta = { version: nextVersion, body, prevVersion }
+    this._connection.sendMsg(C.TOPIC.RECORD, C.ACTIONS.UPDATE_DELTA, [
+      this.name,
+      nextVersion,
+      patch,
+      prevVersion
+    ])
+  } else {
+    this._delta = null
+    this._connection.sendMsg(C.TOPIC.RECORD, C.ACTIONS.UPDATE, [
+      this.name,
+      nextVersion,
+      body,
+      prevVersion
+    ])
+  }
 
   this.version = nextVersion
 }
@@ -400,6 +829,12 @@ Record.prototype._subscribe = function () {
 
   // TODO (fix): Limit number of reads.
 
+  this._readAt = Date.now()
+
+  if (this._logger) {
+    this._logger.debug({ name: this.name, version: this._staleVersion }, 'record read')
+  }
+
   if (this._staleVersion) {
     this._connection.sendMsg2(C.TOPIC.RECORD, C.ACTIONS.READ, this.name, this._staleVersion)
   } else {
@@ -421,6 +856,19 @@ Record.prototype._$handleConnectionStateChange = function () {
   this.emit('update', this)
 }
 
+Record.prototype._onReady = function () {
+  // NOTE: Records which are ready from the cache before being read aren't measured.
+  const duration = this._readAt !== null ? Date.now() - this._readAt : undefined
+  this._readAt = null
+  if (duration !== undefined) {
+    this._handler._readLatency.observe(duration)
+  }
+
+  if (this._logger) {
+    this._logger.debug({ name: this.name, version: this.version, duration }, 'record ready')
+  }
+}
+
 Record.prototype._makeVersion = function (start) {
   let revid = `${xuid()}-${this._client.user || ''}`
   if (revid.length === 32 || revid.length === 16) {
@@ -430,6 +878,19 @@ Record.prototype._makeVersion = function (start) {
   return `${start}-${revid}`
 }
 
+// NOTE: Writes of the same revision number are concurrent, e.g. conditional
+// updates, rather than one superseding the other.
+function isOlderWrite (a, b) {
+  return utils.splitRev(a)[0] < utils.splitRev(b)[0]
+}
+
+function pushBounded (arr, value, size) {
+  arr.push(value)
+  if (arr.length > size) {
+    arr.shift()
+  }
+}
+
 // Compat
 
 Record.prototype.acquire = Record.prototype.ref
@@ -0,0 +1,49 @@
+import { Observable } from 'rxjs'
+import RpcResponse = require('./rpc-response')
+import { DeepstreamError } from '../utils/errors'
+import Histogram = require('../utils/histogram')
+
+declare namespace RpcHandler {
+  type Callback<T = any> = (err: Error | null, data?: T) => void
+
+  interface RetryPolicy {
+    maxAttempts?: number
+    backoff?: (attempt: number, previousDelay: number) => number
+    retryOn?: string[]
+  }
+
+  interface Config {
+    retry?: RetryPolicy
+  }
+
+  interface MakeOptions {
+    timeout?: number
+    signal?: AbortSignal
+  }
+
+  interface Stats {
+    listeners: number
+    rpcs: number
+    latency: { [name: string]: Histogram.Snapshot }
+  }
+}
+
+declare class RpcHandler {
+  readonly connected: boolean
+  readonly stats: RpcHandler.Stats
+  readonly errors$: Observable<DeepstreamError>
+
+  configure (pattern: string | RegExp, config: RpcHandler.Config): () => void
+
+  provide<T = any> (
+    name: string,
+    callback: (data: T, response: RpcResponse) => unknown
+  ): (() => void) | undefined
+  unprovide (name: string): void
+
+  make<T = any> (name: string, data?: unknown, options?: RpcHandler.MakeOptions): Promise<T>
+  make<T = any> (name: string, data: unknown, callback: RpcHandler.Callback<T>): undefined
+  make<T = any> (name: string, data: unknown, options: RpcHandler.MakeOptions | null, callback: RpcHandler.Callback<T>): undefined
+}
+
+export = RpcHandler
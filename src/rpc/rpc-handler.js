@@ -1,16 +1,29 @@
 const C = require('../constants/constants')
 const RpcResponse = require('./rpc-response')
 const messageParser = require('../message/message-parser')
-const messageBuilder = require('../message/message-builder')
 const xuid = require('xuid')
+const { RpcError } = require('../utils/errors')
+const tracing = require('../utils/tracing')
+const Histogram = require('../utils/histogram')
+const backoff = require('../utils/backoff')
+const PatternConfig = require('../utils/pattern-config')
+
+const RETRY_ON = ['ECONNRESET']
 
 const RpcHandler = function (options, connection, client) {
   this._options = options
   this._connection = connection
   this._client = client
+  this._logger = options.logger
+  this._tracer = options.tracer
   this._rpcs = new Map()
   this._providers = new Map()
+  this._config = new PatternConfig()
   this._stats = {}
+  this._latency = new Map()
+  this._responses = new Map()
+
+  this.errors$ = client._$errors(C.TOPIC.RPC)
 
   this._handleConnectionStateChange = this._handleConnectionStateChange.bind(this)
 
@@ -25,14 +38,43 @@ Object.defineProperty(RpcHandler.prototype, 'connected', {
 
 Object.defineProperty(RpcHandler.prototype, 'stats', {
   get: function stats () {
+    const latency = {}
+    for (const [name, histogram] of this._latency) {
+      latency[name] = histogram.toJSON()
+    }
     return {
       ...this._stats,
       listeners: this._providers.size,
-      rpcs: this._rpcs.size
+      rpcs: this._rpcs.size,
+      latency
     }
   }
 })
 
+RpcHandler.prototype.configure = function (pattern, config) {
+  if (config && config.retry) {
+    const {
+      maxAttempts = 3,
+      backoff: strategy = backoff.exponential({ base: 100, max: 5e3 }),
+      retryOn = RETRY_ON
+    } = config.retry
+
+    if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+      throw new Error('invalid argument maxAttempts')
+    }
+    if (typeof strategy !== 'function') {
+      throw new Error('invalid argument backoff')
+    }
+    if (!Array.isArray(retryOn)) {
+      throw new Error('invalid argument retryOn')
+    }
+
+    config = { ...config, retry: { maxAttempts, backoff: strategy, retryOn } }
+  }
+
+  return this._config.add(pattern, config)
+}
+
 RpcHandler.prototype.provide = function (name, callback) {
   if (typeof name !== 'string' || name.length === 0) {
     throw new Error('invalid argument name')
@@ -48,6 +90,10 @@ RpcHandler.prototype.provide = function (name, callback) {
 
   this._providers.set(name, callback)
 
+  if (this._logger) {
+    this._logger.debug({ name }, 'rpc provide')
+  }
+
   if (this.connected) {
     this._connection.sendMsg(C.TOPIC.RPC, C.ACTIONS.SUBSCRIBE, [name])
   }
@@ -67,16 +113,31 @@ RpcHandler.prototype.unprovide = function (name) {
 
   this._providers.delete(name)
 
+  if (this._logger) {
+    this._logger.debug({ name }, 'rpc unprovide')
+  }
+
   if (this.connected) {
     this._connection.sendMsg(C.TOPIC.RPC, C.ACTIONS.UNSUBSCRIBE, [name])
   }
 }
 
-RpcHandler.prototype.make = function (name, data, callback) {
+RpcHandler.prototype.make = function (name, data, options, callback) {
   if (typeof name !== 'string' || name.length === 0) {
     throw new Error('invalid argument name')
   }
 
+  if (typeof options === 'function') {
+    callback = options
+    options = null
+  }
+
+  const { timeout, signal } = options || {}
+
+  if (timeout != null && !(timeout > 0)) {
+    throw new Error('invalid argument timeout')
+  }
+
   let promise
   if (callback === undefined) {
     promise = new Promise((resolve, reject) => {
@@ -89,22 +150,151 @@ RpcHandler.prototype.make = function (name, data, callback) {
   }
 
   const id = xuid()
-  this._rpcs.set(id, {
+
+  if (signal && signal.aborted) {
+    callback(this._abortError(name, id, data, signal))
+    return promise
+  }
+
+  // NOTE: Provider spans carry the same rpc.id, which correlates both ends.
+  const span = tracing.startSpan(this._tracer, 'deepstream.rpc.make', { 'rpc.name': name, 'rpc.id': id })
+  const started = Date.now()
+
+  let timeoutHandle = null
+  const onAbort = () => this._cancel(id, this._abortError(name, id, data, signal))
+
+  // NOTE: Retries reuse the id, which providers can use as an idempotency key.
+  const rpc = {
     id,
     name,
     data,
-    callback
-  })
-  this._connection.sendMsg(C.TOPIC.RPC, C.ACTIONS.REQUEST, [name, id, messageBuilder.typed(data)])
+    started,
+    sent: null,
+    attempts: 0,
+    retry: this._config.get(name, 'retry') || null,
+    retryDelay: 0,
+    retryTimeout: null,
+    waiting: false,
+    callback: (err, val) => {
+      clearTimeout(timeoutHandle)
+      clearTimeout(rpc.retryTimeout)
+      if (signal) {
+        signal.removeEventListener('abort', onAbort)
+      }
+      if (this._logger) {
+        this._logger.debug({ name, id, duration: Date.now() - started, error: err ? err.message : undefined }, 'rpc response')
+      }
+      tracing.endSpan(span, err)
+      callback(err, val)
+    }
+  }
+  this._rpcs.set(id, rpc)
+
+  if (timeout != null) {
+    timeoutHandle = setTimeout(() => {
+      const err = new RpcError(`rpc ${name} timed out after ${timeout} milliseconds`, C.EVENT.TIMEOUT, data)
+      err.rpcId = id
+      err.rpcName = name
+      err.rpcData = data
+      this._cancel(id, err)
+    }, timeout)
+  }
+
+  if (signal) {
+    signal.addEventListener('abort', onAbort)
+  }
+
+  this._sendRequest(rpc)
 
   return promise
 }
 
+RpcHandler.prototype._sendRequest = function (rpc) {
+  // NOTE: Retried rpcs are sent once connected rather than queued, so
+  // that a request isn't sent twice after a reconnect.
+  if (rpc.retry && !this.connected) {
+    rpc.waiting = true
+    return
+  }
+
+  rpc.waiting = false
+  rpc.attempts += 1
+  rpc.sent = Date.now()
+
+  if (this._logger) {
+    this._logger.debug({ name: rpc.name, id: rpc.id, attempt: rpc.attempts }, 'rpc request')
+  }
+  this._connection.sendTypedMsg(C.TOPIC.RPC, C.ACTIONS.REQUEST, [rpc.name, rpc.id], rpc.data)
+}
+
+RpcHandler.prototype._retry = function (rpc, err) {
+  const { retry } = rpc
+  if (!retry || rpc.attempts >= retry.maxAttempts || !retry.retryOn.includes(err.code)) {
+    return false
+  }
+
+  const delay = retry.backoff(rpc.attempts - 1, rpc.retryDelay)
+  rpc.retryDelay = delay
+  rpc.retryTimeout = setTimeout(() => {
+    rpc.retryTimeout = null
+    this._sendRequest(rpc)
+  }, delay)
+
+  if (this._logger) {
+    this._logger.info({ name: rpc.name, id: rpc.id, attempt: rpc.attempts, delay, code: err.code }, 'rpc retry scheduled')
+  }
+
+  return true
+}
+
+RpcHandler.prototype._cancel = function (id, err) {
+  const rpc = this._rpcs.get(id)
+  if (!rpc) {
+    return
+  }
+
+  this._rpcs.delete(id)
+
+  // NOTE: Servers which support cancel forward it to the provider. A request
+  // which is still queued is sent regardless and its response ignored.
+  if (this.connected && this._connection.hasFeature(C.FEATURE.CANCEL)) {
+    this._connection.sendMsg(C.TOPIC.RPC, C.ACTIONS.CANCEL, [rpc.name, id])
+  }
+
+  rpc.callback(err)
+}
+
+RpcHandler.prototype._abortError = function (name, id, data, signal) {
+  const err = new RpcError(`rpc ${name} aborted`, 'ABORT_ERR', data)
+  err.rpcId = id
+  err.rpcName = name
+  err.rpcData = data
+  if (signal.reason !== undefined) {
+    err.cause = signal.reason
+  }
+  return err
+}
+
 RpcHandler.prototype._respond = function (message) {
   const [name, id, data] = message.data
 
   const callback = this._providers.get(name)
-  const response = new RpcResponse(this._connection, name, id)
+  const span = tracing.startSpan(this._tracer, 'deepstream.rpc.respond', { 'rpc.name': name, 'rpc.id': id })
+  const started = Date.now()
+  const response = new RpcResponse(this._connection, name, id, (status, err) => {
+    this._responses.delete(id)
+    if (this._logger) {
+      this._logger.debug({ name, id, duration: Date.now() - started, status }, 'rpc responded')
+    }
+    span.setAttribute('rpc.status', status)
+    tracing.endSpan(span, err)
+  })
+
+  this._responses.set(id, response)
+
+  if (this._logger) {
+    this._logger.debug({ name, id }, 'rpc requested')
+  }
 
   if (callback) {
     let promise
@@ -135,6 +325,13 @@ RpcHandler.prototype._respond = function (message) {
 RpcHandler.prototype._$handle = function (message) {
   if (message.action === C.ACTIONS.REQUEST) {
     this._respond(message)
+  } else if (message.action === C.ACTIONS.CANCEL) {
+    const [, id] = message.data
+
+    const response = this._responses.get(id)
+    if (response) {
+      response._$cancel()
+    }
   } else if (message.action === C.ACTIONS.RESPONSE) {
     const [, id, data, error] = message.data
 
@@ -143,15 +340,27 @@ RpcHandler.prototype._$handle = function (message) {
       return
     }
 
-    this._rpcs.delete(id)
+    // NOTE: Histograms are kept per rpc name, which should be of bounded cardinality.
+    let latency = this._latency.get(rpc.name)
+    if (!latency) {
+      latency = new Histogram()
+      this._latency.set(rpc.name, latency)
+    }
+    latency.observe(Date.now() - rpc.sent)
 
     if (error) {
-      const err = new Error(data)
+      // NOTE: The server responds with e.g. NO_RPC_PROVIDER, providers with any message.
+      const err = new RpcError(data, C.EVENT[data] === data ? data : C.EVENT.RPC_ERROR, rpc.data)
       err.rpcId = rpc.id
       err.rpcName = rpc.name
       err.rpcData = rpc.data
+      if (this._retry(rpc, err)) {
+        return
+      }
+      this._rpcs.delete(id)
       rpc.callback(err)
     } else {
+      this._rpcs.delete(id)
       rpc.callback(null, messageParser.convertTyped(data, this._client))
     }
   }
@@ -162,13 +371,31 @@ RpcHandler.prototype._handleConnectionStateChange = function (state) {
     for (const name of this._providers.keys()) {
       this._connection.sendMsg(C.TOPIC.RPC, C.ACTIONS.SUBSCRIBE, [name])
     }
+    for (const rpc of this._rpcs.values()) {
+      if (rpc.waiting) {
+        this._sendRequest(rpc)
+      }
+    }
   } else if (state === C.CONNECTION_STATE.RECONNECTING || state === C.CONNECTION_STATE.CLOSED) {
-    const err = new Error('socket hang up')
-    err.code = 'ECONNRESET'
-    for (const [, rpc] of this._rpcs) {
+    for (const rpc of Array.from(this._rpcs.values())) {
+      const err = new RpcError('socket hang up', 'ECONNRESET', rpc.data)
+      err.rpcId = rpc.id
+      err.rpcName = rpc.name
+      err.rpcData = rpc.data
+
+      // NOTE: Retried rpcs which aren't in flight are left to be sent once reconnected.
+      if (state === C.CONNECTION_STATE.RECONNECTING && (rpc.retryTimeout || rpc.waiting || this._retry(rpc, err))) {
+        continue
+      }
+
+      this._rpcs.delete(rpc.id)
       rpc.callback(err)
     }
-    this._rpcs.clear()
+
+    // NOTE: Responses can't be delivered and the server routes the requests elsewhere.
+    for (const response of Array.from(this._responses.values())) {
+      response._$cancel()
+    }
   }
 }
 
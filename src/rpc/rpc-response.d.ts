@@ -0,0 +1,12 @@
+declare class RpcResponse {
+  readonly id: string
+  completed: boolean
+  canceled: boolean
+  readonly signal: AbortSignal
+
+  reject (): void
+  error (error: Error | string): void
+  send (data?: unknown): void
+}
+
+export = RpcResponse
@@ -1,14 +1,40 @@
 const C = require('../constants/constants')
-const messageBuilder = require('../message/message-builder')
 
-const RpcResponse = function (connection, name, id) {
+const RpcResponse = function (connection, name, id, onComplete) {
   this._connection = connection
   this._name = name
   this._id = id
+  this._onComplete = onComplete
+  this._controller = null
   this.completed = false
+  this.canceled = false
 }
 
+// NOTE: Retries of an rpc have the same id, which can be used to dedupe them.
+Object.defineProperty(RpcResponse.prototype, 'id', {
+  get: function id () {
+    return this._id
+  }
+})
+
+// NOTE: Aborted when the caller cancels, times out or goes away, so that
+// providers can stop expensive work.
+Object.defineProperty(RpcResponse.prototype, 'signal', {
+  get: function signal () {
+    if (!this._controller) {
+      this._controller = new global.AbortController()
+      if (this.canceled) {
+        this._controller.abort()
+      }
+    }
+    return this._controller.signal
+  }
+})
+
 RpcResponse.prototype.reject = function () {
+  if (this.canceled) {
+    return
+  }
   if (this.completed) {
     throw new Error(`Rpc ${this._name} already completed`)
   }
@@ -19,9 +45,16 @@ RpcResponse.prototype.reject = function () {
     C.ACTIONS.REJECTION,
     [this._name, this._id]
   )
+
+  if (this._onComplete) {
+    this._onComplete('rejected')
+  }
 }
 
 RpcResponse.prototype.error = function (error) {
+  if (this.canceled) {
+    return
+  }
   if (this.completed) {
     throw new Error(`Rpc ${this._name} already completed`)
   }
@@ -32,19 +65,47 @@ RpcResponse.prototype.error = function (error) {
     C.ACTIONS.RESPONSE,
     [this._name, this._id, error.message || error, true]
   )
+
+  if (this._onComplete) {
+    this._onComplete('error', error)
+  }
 }
 
 RpcResponse.prototype.send = function (data) {
+  if (this.canceled) {
+    return
+  }
   if (this.completed) {
     throw new Error(`Rpc ${this._name} already completed`)
   }
   this.completed = true
 
-  this._connection.sendMsg(
+  this._connection.sendTypedMsg(
     C.TOPIC.RPC,
     C.ACTIONS.RESPONSE,
-    [this._name, this._id, messageBuilder.typed(data)]
+    [this._name, this._id],
+    data
   )
+
+  if (this._onComplete) {
+    this._onComplete('ok')
+  }
+}
+
+RpcResponse.prototype._$cancel = function () {
+  if (this.completed) {
+    return
+  }
+  this.completed = true
+  this.canceled = true
+
+  if (this._controller) {
+    this._controller.abort()
+  }
+
+  if (this._onComplete) {
+    this._onComplete('canceled')
+  }
 }
 
 module.exports = RpcResponse
@@ -0,0 +1,770 @@
+const C = require('../constants/constants')
+const messageBuilder = require('../message/message-builder')
+const loopback = require('../transport/loopback')
+const jsonPatch = require('../record/json-patch')
+const utils = require('../utils/utils')
+const createDeepstream = require('../client')
+const xuid = require('xuid')
+
+// In-memory deepstream server for testing applications without a real
+// server. Clients are attached through the loopback transport, see
+// MockServer.prototype.createClient.
+
+const EMPTY_VERSION = '0-00000000000000'
+const EMPTY_BODY = '{}'
+const COMPRESSED_PREFIX = C.TOPIC.COMPRESSED + C.MESSAGE_PART_SEPERATOR
+const FRAGMENT_PREFIX = C.TOPIC.CONNECTION + C.MESSAGE_PART_SEPERATOR + C.ACTIONS.FRAGMENT + C.MESSAGE_PART_SEPERATOR
+const FRAGMENT_HEADER_SIZE = 64
+
+const MockConnection = function (endpoint, options) {
+  this.endpoint = endpoint
+  this.authenticated = false
+  this.features = new Set()
+  this.user = null
+  this._lz = options.lz || null
+  this._lzThreshold = options.lzThreshold == null ? 1024 : options.lzThreshold
+  this._msgpack = options.msgpack || null
+  this._maxPacketSize = options.maxPacketSize || Infinity
+  this._fragments = new Map()
+  this._fragmentCounter = 0
+}
+
+MockConnection.prototype.send = function (topic, action, data) {
+  if (this.endpoint.readyState !== this.endpoint.OPEN) {
+    return
+  }
+
+  if (this.features.has(C.FEATURE.MSGPACK)) {
+    this.endpoint.send(this._msgpack.encode([[topic, action, ...data]]))
+    return
+  }
+
+  // NOTE: Objects received in binary messages are typed values.
+  data = data && data.map(value => value !== null && typeof value === 'object' ? messageBuilder.typed(value) : value)
+
+  let message = messageBuilder.getMsg(topic, action, data)
+  if (this.features.has(C.FEATURE.LZ) && message.length > this._lzThreshold) {
+    const compressed = COMPRESSED_PREFIX + this._lz.compressToUTF16(message) + C.MESSAGE_SEPERATOR
+    if (utils.byteLength(compressed) < utils.byteLength(message)) {
+      message = compressed
+    }
+  }
+
+  if (utils.byteLength(message) <= this._maxPacketSize || !this.features.has(C.FEATURE.FRAGMENT)) {
+    this.endpoint.send(message)
+    return
+  }
+
+  const size = this._maxPacketSize - FRAGMENT_HEADER_SIZE
+  const payload = message.slice(0, -1)
+  const id = (this._fragmentCounter++).toString(16)
+  const chunks = utils.splitBytes(payload, size)
+  for (let index = 0; index < chunks.length; index++) {
+    this.endpoint.send(messageBuilder.getMsg(C.TOPIC.CONNECTION, C.ACTIONS.FRAGMENT, [id, index, chunks.length, chunks[index]]))
+  }
+}
+
+MockConnection.prototype.parse = function (data) {
+  if (typeof data !== 'string') {
+    const messages = []
+    for (const message of this._msgpack.decode(data)) {
+      messages.push(...(Array.isArray(message) ? [message] : this.parse(message)))
+    }
+    return messages
+  }
+
+  const messages = []
+  for (const message of data.split(C.MESSAGE_SEPERATOR)) {
+    if (message.startsWith(COMPRESSED_PREFIX)) {
+      messages.push(...this.parse(this._lz.decompressFromUTF16(message.slice(COMPRESSED_PREFIX.length))))
+    } else if (message.startsWith(FRAGMENT_PREFIX)) {
+      const payload = this._onFragment(message.split(C.MESSAGE_PART_SEPERATOR).slice(2))
+      if (payload) {
+        messages.push(...this.parse(payload))
+      }
+    } else if (message.length > 0) {
+      messages.push(message.split(C.MESSAGE_PART_SEPERATOR))
+    }
+  }
+  return messages
+}
+
+MockConnection.prototype._onFragment = function ([id, index, count, ...chunk]) {
+  let chunks = this._fragments.get(id)
+  if (!chunks) {
+    chunks = []
+    this._fragments.set(id, chunks)
+  }
+
+  chunks[index] = chunk.join(C.MESSAGE_PART_SEPERATOR)
+
+  if (chunks.filter(chunk => chunk !== undefined).length < parseInt(count, 10)) {
+    return null
+  }
+
+  this._fragments.delete(id)
+  return chunks.join('')
+}
+
+MockConnection.prototype.close = function () {
+  this.endpoint.close()
+}
+
+// NOTE: Tracks subscriptions for a topic and, like the real server, picks a
+// single provider among the listeners whose pattern matches a subscribed name.
+const SubscriptionRegistry = function (server, topic) {
+  this._server = server
+  this._topic = topic
+  this._subscribers = new Map()
+  this._listeners = []
+  this._providers = new Map()
+}
+
+SubscriptionRegistry.prototype.getSubscribers = function (name) {
+  return this._subscribers.get(name) || new Set()
+}
+
+SubscriptionRegistry.prototype.getProvider = function (name) {
+  const provider = this._providers.get(name)
+  return provider ? provider.active : null
+}
+
+SubscriptionRegistry.prototype.subscribe = function (conn, name) {
+  let subscribers = this._subscribers.get(name)
+  if (!subscribers) {
+    subscribers = new Set()
+    this._subscribers.set(name, subscribers)
+  }
+
+  if (subscribers.has(conn)) {
+    return
+  }
+
+  subscribers.add(conn)
+
+  if (subscribers.size === 1) {
+    for (const listener of this._listeners) {
+      this._match(listener, name)
+    }
+  }
+}
+
+SubscriptionRegistry.prototype.unsubscribe = function (conn, name) {
+  const subscribers = this._subscribers.get(name)
+  if (!subscribers || !subscribers.delete(conn) || subscribers.size > 0) {
+    return
+  }
+
+  this._subscribers.delete(name)
+
+  const provider = this._providers.get(name)
+  if (provider) {
+    this._providers.delete(name)
+    for (const listener of provider.found) {
+      listener.conn.send(this._topic, C.ACTIONS.SUBSCRIPTION_FOR_PATTERN_REMOVED, [listener.pattern, name])
+    }
+    if (provider.active) {
+      this._server._onProviderChanged(this._topic, name, null)
+    }
+  }
+}
+
+SubscriptionRegistry.prototype.listen = function (conn, pattern) {
+  if (this._listeners.some(listener => listener.conn === conn && listener.pattern === pattern)) {
+    return
+  }
+
+  let regex
+  try {
+    regex = new RegExp(pattern)
+  } catch (err) {
+    conn.send(this._topic, C.ACTIONS.ERROR, [C.EVENT.LISTENER_ERROR, pattern])
+    return
+  }
+
+  const listener = { conn, pattern, regex }
+  this._listeners.push(listener)
+
+  for (const name of this._subscribers.keys()) {
+    this._match(listener, name)
+  }
+}
+
+SubscriptionRegistry.prototype.unlisten = function (conn, pattern) {
+  const listener = this._listeners.find(listener => listener.conn === conn && listener.pattern === pattern)
+  if (!listener) {
+    conn.send(this._topic, C.ACTIONS.ERROR, [C.EVENT.NOT_LISTENING, pattern])
+    return
+  }
+
+  this._listeners.splice(this._listeners.indexOf(listener), 1)
+
+  for (const [name, provider] of this._providers) {
+    const idx = provider.found.indexOf(listener)
+    if (idx !== -1) {
+      provider.found.splice(idx, 1)
+      this._reject(name, provider, listener)
+    }
+  }
+}
+
+SubscriptionRegistry.prototype.accept = function (conn, pattern, name) {
+  const provider = this._providers.get(name)
+  const listener = provider && provider.found.find(listener => listener.conn === conn && listener.pattern === pattern)
+  if (!listener) {
+    return
+  }
+
+  if (!provider.accepted.includes(listener)) {
+    provider.accepted.push(listener)
+  }
+
+  if (!provider.active) {
+    this._activate(name, provider, listener)
+  }
+}
+
+SubscriptionRegistry.prototype.reject = function (conn, pattern, name) {
+  const provider = this._providers.get(name)
+  const listener = provider && provider.found.find(listener => listener.conn === conn && listener.pattern === pattern)
+  if (listener) {
+    this._reject(name, provider, listener)
+  }
+}
+
+SubscriptionRegistry.prototype.remove = function (conn) {
+  for (const name of Array.from(this._subscribers.keys())) {
+    this.unsubscribe(conn, name)
+  }
+
+  for (const listener of this._listeners.filter(listener => listener.conn === conn)) {
+    this.unlisten(conn, listener.pattern)
+  }
+}
+
+SubscriptionRegistry.prototype._match = function (listener, name) {
+  if (!listener.regex.test(name)) {
+    return
+  }
+
+  let provider = this._providers.get(name)
+  if (!provider) {
+    provider = { active: null, found: [], accepted: [] }
+    this._providers.set(name, provider)
+  }
+
+  provider.found.push(listener)
+  listener.conn.send(this._topic, C.ACTIONS.SUBSCRIPTION_FOR_PATTERN_FOUND, [listener.pattern, name])
+}
+
+SubscriptionRegistry.prototype._reject = function (name, provider, listener) {
+  const idx = provider.accepted.indexOf(listener)
+  if (idx !== -1) {
+    provider.accepted.splice(idx, 1)
+  }
+
+  if (provider.active !== listener) {
+    return
+  }
+
+  provider.active = null
+
+  if (provider.accepted.length > 0) {
+    this._activate(name, provider, provider.accepted[0])
+  } else {
+    this._server._onProviderChanged(this._topic, name, null)
+  }
+}
+
+SubscriptionRegistry.prototype._activate = function (name, provider, listener) {
+  provider.active = listener
+
+  const data = [listener.pattern, name]
+  if (this._topic === C.TOPIC.RECORD) {
+    const record = this._server._records.get(name)
+    if (record) {
+      data.push(record.version, record.body)
+    }
+  }
+  listener.conn.send(this._topic, C.ACTIONS.LISTEN_ACCEPT, data)
+
+  this._server._onProviderChanged(this._topic, name, listener)
+}
+
+const MockServer = function (options) {
+  options = options || {}
+
+  this._authenticate = options.authenticate || null
+  this._canWrite = options.canWrite || null
+  this._options = options
+  this._features = new Set(options.features || [
+    C.FEATURE.DELTA,
+    C.FEATURE.FRAGMENT,
+    C.FEATURE.CANCEL,
+    C.FEATURE.WRITE_ACK,
+    C.FEATURE.CONDITIONAL_UPDATE,
+    C.FEATURE.REAUTHENTICATE,
+    C.FEATURE.BATCH
+  ])
+  if (options.lz) {
+    this._features.add(C.FEATURE.LZ)
+  }
+  if (options.msgpack) {
+    this._features.add(C.FEATURE.MSGPACK)
+  }
+  this._closed = false
+  this._connections = new Set()
+  this._records = new Map()
+  this._events = new SubscriptionRegistry(this, C.TOPIC.EVENT)
+  this._recordSubscriptions = new SubscriptionRegistry(this, C.TOPIC.RECORD)
+  this._provided = new Map()
+  this._rpcProviders = new Map()
+  this._rpcs = new Map()
+
+  this.transport = loopback(endpoint => this._onConnection(endpoint))
+}
+
+Object.defineProperty(MockServer.prototype, 'connections', {
+  get: function connections () {
+    return this._connections.size
+  }
+})
+
+MockServer.prototype.createClient = function (options) {
+  return createDeepstream('mock', { transport: this.transport, ...options })
+}
+
+MockServer.prototype.getRecord = function (name) {
+  const record = this._records.get(name)
+  return record ? { version: record.version, data: JSON.parse(record.body) } : null
+}
+
+MockServer.prototype.setRecord = function (name, data) {
+  if (typeof name !== 'string' || name.length === 0) {
+    throw new Error('invalid argument name')
+  }
+  if (!utils.isPlainObject(data)) {
+    throw new Error('invalid argument data')
+  }
+
+  const record = this._records.get(name)
+  const [start] = utils.splitRev(record ? record.version : EMPTY_VERSION)
+  const version = `${start + 1}-${xuid()}`
+
+  this._updateRecord(null, name, version, JSON.stringify(data))
+
+  return version
+}
+
+MockServer.prototype.emitEvent = function (name, data) {
+  if (typeof name !== 'string' || name.length === 0) {
+    throw new Error('invalid argument name')
+  }
+
+  for (const conn of this._events.getSubscribers(name)) {
+    conn.send(C.TOPIC.EVENT, C.ACTIONS.EVENT, [name, messageBuilder.typed(data)])
+  }
+}
+
+MockServer.prototype.disconnect = function () {
+  for (const conn of Array.from(this._connections)) {
+    conn.close()
+  }
+}
+
+MockServer.prototype.close = function () {
+  this._closed = true
+  this.disconnect()
+}
+
+MockServer.prototype._onConnection = function (endpoint) {
+  if (this._closed) {
+    throw new Error('server closed')
+  }
+
+  const conn = new MockConnection(endpoint, this._options)
+  this._connections.add(conn)
+
+  endpoint.onopen = () => {
+    conn.send(C.TOPIC.CONNECTION, C.ACTIONS.ACK)
+  }
+  endpoint.onmessage = ({ data }) => {
+    for (const message of conn.parse(data)) {
+      this._onMessage(conn, message)
+    }
+  }
+  endpoint.onclose = () => {
+    this._onClose(conn)
+  }
+}
+
+MockServer.prototype._onClose = function (conn) {
+  if (!this._connections.delete(conn)) {
+    return
+  }
+
+  this._events.remove(conn)
+  this._recordSubscriptions.remove(conn)
+
+  for (const name of Array.from(this._rpcProviders.keys())) {
+    this._unprovideRpc(conn, name)
+  }
+
+  for (const [id, rpc] of Array.from(this._rpcs)) {
+    if (rpc.requester === conn) {
+      this._cancelRpc(id, rpc)
+    } else if (rpc.provider === conn) {
+      this._routeRpc(id, rpc)
+    }
+  }
+}
+
+MockServer.prototype._onMessage = function (conn, [topic, action, ...data]) {
+  if (topic === C.TOPIC.CONNECTION) {
+    if (action === C.ACTIONS.PING) {
+      conn.send(C.TOPIC.CONNECTION, C.ACTIONS.PONG)
+    }
+  } else if (topic === C.TOPIC.AUTH) {
+    this._onAuth(conn, action, data)
+  } else if (!conn.authenticated) {
+    conn.send(C.TOPIC.ERROR, C.ACTIONS.ERROR, [C.EVENT.NOT_AUTHENTICATED, messageBuilder.typed('not authenticated')])
+  } else if (topic === C.TOPIC.EVENT) {
+    this._onEvent(conn, action, data)
+  } else if (topic === C.TOPIC.RECORD) {
+    this._onRecord(conn, action, data)
+  } else if (topic === C.TOPIC.RPC) {
+    this._onRpc(conn, action, data)
+  } else {
+    conn.send(C.TOPIC.ERROR, C.ACTIONS.ERROR, [C.EVENT.MESSAGE_PARSE_ERROR, messageBuilder.typed(`unknown topic ${topic}`)])
+  }
+}
+
+MockServer.prototype._onAuth = function (conn, action, [authParams, version, features]) {
+  if (action !== C.ACTIONS.REQUEST) {
+    return
+  }
+
+  Promise
+    .resolve()
+    .then(() => this._authenticate ? this._authenticate(JSON.parse(authParams)) : true)
+    .then(authData => {
+      if (!authData) {
+        conn.send(C.TOPIC.AUTH, C.ACTIONS.ERROR, ['INVALID_AUTHENTICATION_DETAILS', messageBuilder.typed('invalid authentication details')])
+        return
+      }
+
+      authData = authData === true ? null : authData
+
+      conn.authenticated = true
+      conn.user = authData ? authData.id : null
+
+      const accepted = (features || '').split(',').filter(feature => this._features.has(feature))
+
+      const data = [messageBuilder.typed(authData)]
+      if (accepted.length > 0) {
+        data.push(accepted.join(','))
+      }
+      conn.send(C.TOPIC.AUTH, C.ACTIONS.ACK, data)
+
+      // NOTE: Features apply to messages after the ack.
+      conn.features = new Set(accepted)
+    })
+    .catch(err => {
+      conn.send(C.TOPIC.AUTH, C.ACTIONS.ERROR, ['INVALID_AUTHENTICATION_DETAILS', messageBuilder.typed(err.message)])
+    })
+}
+
+MockServer.prototype._onEvent = function (conn, action, data) {
+  const [name] = data
+
+  if (action === C.ACTIONS.EVENT) {
+    for (const subscriber of this._events.getSubscribers(name)) {
+      if (subscriber !== conn) {
+        subscriber.send(C.TOPIC.EVENT, C.ACTIONS.EVENT, data)
+      }
+    }
+  } else if (!this._onSubscriptionMessage(this._events, conn, action, data)) {
+    conn.send(C.TOPIC.EVENT, C.ACTIONS.ERROR, [C.EVENT.MESSAGE_PARSE_ERROR, name])
+  }
+}
+
+MockServer.prototype._onRecord = function (conn, action, data) {
+  const [name] = data
+
+  if (action === C.ACTIONS.READ) {
+    this._readRecord(conn, name, data[1])
+  } else if (action === C.ACTIONS.UPDATE) {
+    const [, version, body] = data
+    try {
+      JSON.parse(body)
+    } catch (err) {
+      conn.send(C.TOPIC.RECORD, C.ACTIONS.ERROR, [C.EVENT.UPDATE_ERROR, name, version])
+      return
+    }
+    this._updateRecord(conn, name, version, body)
+  } else if (action === C.ACTIONS.UPDATE_CONDITIONAL) {
+    const [, version, body, prevVersion] = data
+    const record = this._records.get(name)
+    const current = record ? record.version : EMPTY_VERSION
+    try {
+      JSON.parse(body)
+    } catch (err) {
+      conn.send(C.TOPIC.RECORD, C.ACTIONS.ERROR, [C.EVENT.UPDATE_ERROR, name, version])
+      return
+    }
+    // NOTE: Already applied if current is version, e.g. a replayed update.
+    if (current !== prevVersion && current !== version) {
+      conn.send(C.TOPIC.RECORD, C.ACTIONS.ERROR, [C.EVENT.VERSION_EXISTS, name, version])
+      return
+    }
+    this._updateRecord(conn, name, version, body)
+  } else if (action === C.ACTIONS.UPDATE_BATCH) {
+    this._updateBatch(conn, data)
+  } else if (action === C.ACTIONS.UPDATE_DELTA) {
+    const [, version, patch, prevVersion] = data
+    const record = this._records.get(name)
+
+    let body
+    try {
+      if (!record || record.version !== prevVersion) {
+        throw new Error('missing delta base')
+      }
+      body = JSON.stringify(jsonPatch.apply(JSON.parse(record.body), JSON.parse(patch)))
+    } catch (err) {
+      // NOTE: Client falls back to sending the full body.
+      conn.send(C.TOPIC.RECORD, C.ACTIONS.ERROR, [C.EVENT.UPDATE_ERROR, name, version])
+      return
+    }
+    this._updateRecord(conn, name, version, body)
+  } else if (action === C.ACTIONS.SYNC) {
+    conn.send(C.TOPIC.RECORD, C.ACTIONS.SYNC, [name])
+  } else if (action === C.ACTIONS.UNSUBSCRIBE) {
+    this._recordSubscriptions.unsubscribe(conn, name)
+  } else if (!this._onSubscriptionMessage(this._recordSubscriptions, conn, action, data)) {
+    conn.send(C.TOPIC.RECORD, C.ACTIONS.ERROR, [C.EVENT.MESSAGE_PARSE_ERROR, name])
+  }
+}
+
+MockServer.prototype._onSubscriptionMessage = function (registry, conn, action, [name, subname]) {
+  if (action === C.ACTIONS.SUBSCRIBE) {
+    registry.subscribe(conn, name)
+  } else if (action === C.ACTIONS.UNSUBSCRIBE) {
+    registry.unsubscribe(conn, name)
+  } else if (action === C.ACTIONS.LISTEN) {
+    registry.listen(conn, name)
+  } else if (action === C.ACTIONS.UNLISTEN) {
+    registry.unlisten(conn, name)
+  } else if (action === C.ACTIONS.LISTEN_ACCEPT) {
+    registry.accept(conn, name, subname)
+  } else if (action === C.ACTIONS.LISTEN_REJECT) {
+    registry.reject(conn, name, subname)
+  } else {
+    return false
+  }
+  return true
+}
+
+MockServer.prototype._readRecord = function (conn, name, version) {
+  // NOTE: READ also subscribes to further updates.
+  this._recordSubscriptions.subscribe(conn, name)
+
+  const record = this._records.get(name)
+  if (!record) {
+    conn.send(C.TOPIC.RECORD, C.ACTIONS.UPDATE, [name, EMPTY_VERSION, EMPTY_BODY])
+  } else if (record.version === version) {
+    conn.send(C.TOPIC.RECORD, C.ACTIONS.UPDATE, [name, record.version])
+  } else {
+    conn.send(C.TOPIC.RECORD, C.ACTIONS.UPDATE, [name, record.version, record.body])
+  }
+
+  const provided = this._provided.get(name)
+  if (provided) {
+    conn.send(C.TOPIC.RECORD, C.ACTIONS.SUBSCRIPTION_HAS_PROVIDER, [name, messageBuilder.typed(provided)])
+  }
+}
+
+MockServer.prototype._updateRecord = function (conn, name, version, body) {
+  const record = this._records.get(name)
+  const provider = this._recordSubscriptions.getProvider(name)
+
+  // NOTE: The active provider always wins regardless of version order.
+  const provided = Boolean(conn && provider && provider.conn === conn && version.startsWith('INF'))
+
+  const acks = Boolean(conn && conn.features.has(C.FEATURE.WRITE_ACK))
+
+  if (conn && this._canWrite && !this._canWrite(conn.user, name, JSON.parse(body))) {
+    conn.send(C.TOPIC.RECORD, C.ACTIONS.ERROR, [C.EVENT.MESSAGE_DENIED, name, version])
+    return
+  }
+
+  if (record && record.version === version) {
+    // NOTE: Already applied, e.g. a replayed update.
+  } else if (record && !provided && utils.isSameOrNewer(record.version, version)) {
+    // NOTE: Stale write, let the writer know that it was not applied.
+    if (acks) {
+      conn.send(C.TOPIC.RECORD, C.ACTIONS.ERROR, [C.EVENT.VERSION_EXISTS, name, version])
+    } else if (conn) {
+      conn.send(C.TOPIC.RECORD, C.ACTIONS.UPDATE, [name, record.version, record.body])
+    }
+    return
+  } else {
+    this._records.set(name, { version, body })
+
+    // NOTE: Like the real server, updates aren't echoed to the writer.
+    for (const subscriber of this._recordSubscriptions.getSubscribers(name)) {
+      if (subscriber !== conn) {
+        subscriber.send(C.TOPIC.RECORD, C.ACTIONS.UPDATE, [name, version, body])
+      }
+    }
+  }
+
+  if (acks) {
+    conn.send(C.TOPIC.RECORD, C.ACTIONS.WRITE_ACKNOWLEDGEMENT, [name, version])
+  }
+
+  if (provided) {
+    // NOTE: Subscribers are in provider state once they have the provided version.
+    this._setProvided(name, version)
+  }
+}
+
+// NOTE: Applies either every update of the batch or none of them, in which
+// case every update is rejected, the one that failed with its own reason.
+MockServer.prototype._updateBatch = function (conn, [, ...data]) {
+  const updates = []
+  for (let i = 0; i + 3 < data.length; i += 4) {
+    updates.push(data.slice(i, i + 4))
+  }
+
+  const failed = updates.findIndex(([name, version, body]) => {
+    const event = this._checkUpdate(conn, name, version, body)
+    if (event) {
+      conn.send(C.TOPIC.RECORD, C.ACTIONS.ERROR, [event, name, version])
+    }
+    return Boolean(event)
+  })
+
+  if (failed !== -1) {
+    updates.forEach(([name, version], i) => {
+      if (i !== failed) {
+        conn.send(C.TOPIC.RECORD, C.ACTIONS.ERROR, [C.EVENT.UPDATE_ERROR, name, version])
+      }
+    })
+    return
+  }
+
+  for (const [name, version, body] of updates) {
+    this._updateRecord(conn, name, version, body)
+  }
+}
+
+MockServer.prototype._checkUpdate = function (conn, name, version, body) {
+  const record = this._records.get(name)
+
+  let data
+  try {
+    data = JSON.parse(body)
+  } catch (err) {
+    return C.EVENT.UPDATE_ERROR
+  }
+
+  if (this._canWrite && !this._canWrite(conn.user, name, data)) {
+    return C.EVENT.MESSAGE_DENIED
+  }
+
+  if (record && record.version !== version && utils.isSameOrNewer(record.version, version)) {
+    return C.EVENT.VERSION_EXISTS
+  }
+
+  return null
+}
+
+MockServer.prototype._onProviderChanged = function (topic, name, listener) {
+  if (topic === C.TOPIC.RECORD && !listener) {
+    this._setProvided(name, null)
+  }
+}
+
+MockServer.prototype._setProvided = function (name, version) {
+  if ((this._provided.get(name) || null) === version) {
+    return
+  }
+
+  if (version) {
+    this._provided.set(name, version)
+  } else {
+    this._provided.delete(name)
+  }
+
+  for (const subscriber of this._recordSubscriptions.getSubscribers(name)) {
+    subscriber.send(C.TOPIC.RECORD, C.ACTIONS.SUBSCRIPTION_HAS_PROVIDER, [name, messageBuilder.typed(version || false)])
+  }
+}
+
+MockServer.prototype._onRpc = function (conn, action, data) {
+  const [name, id] = data
+
+  if (action === C.ACTIONS.SUBSCRIBE) {
+    const providers = this._rpcProviders.get(name) || []
+    if (!providers.includes(conn)) {
+      this._rpcProviders.set(name, providers.concat(conn))
+    }
+  } else if (action === C.ACTIONS.UNSUBSCRIBE) {
+    this._unprovideRpc(conn, name)
+  } else if (action === C.ACTIONS.REQUEST) {
+    const rpc = { name, data: data[2], requester: conn, provider: null, tried: new Set() }
+    this._rpcs.set(id, rpc)
+    this._routeRpc(id, rpc)
+  } else if (action === C.ACTIONS.RESPONSE) {
+    const rpc = this._rpcs.get(id)
+    if (rpc && rpc.provider === conn) {
+      this._rpcs.delete(id)
+      rpc.requester.send(C.TOPIC.RPC, C.ACTIONS.RESPONSE, data)
+    }
+  } else if (action === C.ACTIONS.REJECTION) {
+    const rpc = this._rpcs.get(id)
+    if (rpc && rpc.provider === conn) {
+      this._routeRpc(id, rpc)
+    }
+  } else if (action === C.ACTIONS.CANCEL) {
+    const rpc = this._rpcs.get(id)
+    if (rpc && rpc.requester === conn) {
+      this._cancelRpc(id, rpc)
+    }
+  } else {
+    conn.send(C.TOPIC.RPC, C.ACTIONS.ERROR, [C.EVENT.MESSAGE_PARSE_ERROR, name])
+  }
+}
+
+MockServer.prototype._unprovideRpc = function (conn, name) {
+  const providers = (this._rpcProviders.get(name) || []).filter(provider => provider !== conn)
+  if (providers.length > 0) {
+    this._rpcProviders.set(name, providers)
+  } else {
+    this._rpcProviders.delete(name)
+  }
+}
+
+MockServer.prototype._cancelRpc = function (id, rpc) {
+  this._rpcs.delete(id)
+  if (rpc.provider && rpc.provider.features.has(C.FEATURE.CANCEL)) {
+    rpc.provider.send(C.TOPIC.RPC, C.ACTIONS.CANCEL, [rpc.name, id])
+  }
+}
+
+MockServer.prototype._routeRpc = function (id, rpc) {
+  const providers = this._rpcProviders.get(rpc.name) || []
+  const provider = providers.find(provider => !rpc.tried.has(provider))
+
+  if (!provider) {
+    this._rpcs.delete(id)
+    rpc.requester.send(C.TOPIC.RPC, C.ACTIONS.RESPONSE, [rpc.name, id, C.EVENT.NO_RPC_PROVIDER, true])
+    return
+  }
+
+  rpc.tried.add(provider)
+  rpc.provider = provider
+  provider.send(C.TOPIC.RPC, C.ACTIONS.REQUEST, [rpc.name, id, rpc.data])
+}
+
+module.exports = MockServer
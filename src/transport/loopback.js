@@ -0,0 +1,92 @@
+const CONNECTING = 0
+const OPEN = 1
+const CLOSED = 3
+
+const LoopbackEndpoint = function (url) {
+  this.url = url
+  this.readyState = CONNECTING
+  this.onopen = null
+  this.onerror = null
+  this.onclose = null
+  this.onmessage = null
+  this._peer = null
+}
+
+LoopbackEndpoint.prototype.CONNECTING = CONNECTING
+LoopbackEndpoint.prototype.OPEN = OPEN
+LoopbackEndpoint.prototype.CLOSED = CLOSED
+
+LoopbackEndpoint.prototype.send = function (data) {
+  if (this.readyState !== OPEN) {
+    throw new Error('loopback is not open')
+  }
+
+  const peer = this._peer
+  setImmediate(() => {
+    if (peer.readyState === OPEN && peer.onmessage) {
+      peer.onmessage({ data })
+    }
+  })
+}
+
+LoopbackEndpoint.prototype.close = function () {
+  if (this.readyState === CLOSED) {
+    return
+  }
+
+  this.readyState = CLOSED
+  setImmediate(() => {
+    if (this.onclose) {
+      this.onclose({ code: 1000 })
+    }
+  })
+
+  this._peer.close()
+}
+
+LoopbackEndpoint.prototype._open = function () {
+  if (this.readyState !== CONNECTING) {
+    return
+  }
+
+  this.readyState = OPEN
+  if (this.onopen) {
+    this.onopen()
+  }
+}
+
+// Connects the client to an in-process peer, e.g. a fake server,
+// without any network. onConnection receives the peer endpoint
+// before either side is opened.
+module.exports = function loopback (onConnection) {
+  if (typeof onConnection !== 'function') {
+    throw new Error('invalid argument onConnection')
+  }
+
+  return function (url, options) {
+    const client = new LoopbackEndpoint(url)
+    const server = new LoopbackEndpoint(url)
+    client._peer = server
+    server._peer = client
+
+    setImmediate(() => {
+      try {
+        onConnection(server)
+      } catch (err) {
+        client.readyState = CLOSED
+        server.readyState = CLOSED
+        if (client.onerror) {
+          client.onerror(err)
+        }
+        if (client.onclose) {
+          client.onclose({ code: 1011 })
+        }
+        return
+      }
+      server._open()
+      client._open()
+    })
+
+    return client
+  }
+}
@@ -0,0 +1,143 @@
+const websocket = require('./websocket')
+
+const CONNECTING = 0
+const OPEN = 1
+const CLOSED = 3
+
+// Runs a connection over a MessagePort (worker_threads or browser) whose
+// other end is served by messagePort.relay, e.g. in the main thread. The relay
+// opens the actual socket on the client's behalf, one per client connection,
+// since every connection authenticates its own session. Hence a client in a
+// worker uses a socket owned by the main thread rather than one of its own,
+// it does not share a socket with other clients.
+
+const PortEndpoint = function (port, id) {
+  this.readyState = CONNECTING
+  this.onopen = null
+  this.onerror = null
+  this.onclose = null
+  this.onmessage = null
+  this._port = port
+  this._id = id
+  // NOTE: Removed once closed, a listener keeps e.g. a worker_threads port alive.
+  this._off = onPortMessage(port, msg => {
+    if (msg && msg.id === this._id) {
+      this._onMessage(msg)
+    }
+  })
+}
+
+PortEndpoint.prototype.CONNECTING = CONNECTING
+PortEndpoint.prototype.OPEN = OPEN
+PortEndpoint.prototype.CLOSED = CLOSED
+
+PortEndpoint.prototype.send = function (data) {
+  if (this.readyState !== OPEN) {
+    throw new Error('port is not open')
+  }
+  this._port.postMessage({ type: 'message', id: this._id, data })
+}
+
+PortEndpoint.prototype.close = function () {
+  if (this.readyState === CLOSED) {
+    return
+  }
+  this._port.postMessage({ type: 'close', id: this._id })
+  this._onClose()
+}
+
+PortEndpoint.prototype._onMessage = function ({ type, data, message }) {
+  if (type === 'open') {
+    this.readyState = OPEN
+    if (this.onopen) {
+      this.onopen()
+    }
+  } else if (type === 'message') {
+    if (this.readyState === OPEN && this.onmessage) {
+      this.onmessage({ data })
+    }
+  } else if (type === 'error') {
+    if (this.onerror) {
+      this.onerror(new Error(message))
+    }
+  } else if (type === 'close') {
+    this._onClose()
+  }
+}
+
+PortEndpoint.prototype._onClose = function () {
+  if (this.readyState === CLOSED) {
+    return
+  }
+  this.readyState = CLOSED
+  this._off()
+  if (this.onclose) {
+    this.onclose({ code: 1000 })
+  }
+}
+
+function onPortMessage (port, handler) {
+  if (typeof port.on === 'function') {
+    port.on('message', handler)
+    return () => port.off('message', handler)
+  } else {
+    const onmessage = ({ data }) => handler(data)
+    port.addEventListener('message', onmessage)
+    if (port.start) {
+      port.start()
+    }
+    return () => port.removeEventListener('message', onmessage)
+  }
+}
+
+// NOTE: Shared, several clients can use the same port.
+let counter = 0
+
+function messagePort (port) {
+  return function (url, options) {
+    const endpoint = new PortEndpoint(port, counter++)
+    port.postMessage({ type: 'open', id: endpoint._id, url })
+    return endpoint
+  }
+}
+
+// NOTE: Endpoints are keyed by the id of the connection attempt, each one
+// is its own socket which is closed together with the client's endpoint.
+messagePort.relay = function (port, transport, options) {
+  transport = transport || websocket
+
+  const endpoints = new Map()
+
+  return onPortMessage(port, msg => {
+    if (!msg) {
+      return
+    }
+
+    const { type, id, url, data } = msg
+
+    if (type === 'open') {
+      const endpoint = transport(url, options || {})
+      endpoint.onopen = () => port.postMessage({ type: 'open', id })
+      endpoint.onmessage = ({ data }) => port.postMessage({ type: 'message', id, data })
+      endpoint.onerror = err => port.postMessage({ type: 'error', id, message: (err && err.message) || 'socket error' })
+      endpoint.onclose = () => {
+        endpoints.delete(id)
+        port.postMessage({ type: 'close', id })
+      }
+      endpoints.set(id, endpoint)
+    } else if (type === 'message') {
+      const endpoint = endpoints.get(id)
+      if (endpoint && endpoint.readyState === endpoint.OPEN) {
+        endpoint.send(data)
+      }
+    } else if (type === 'close') {
+      const endpoint = endpoints.get(id)
+      if (endpoint) {
+        endpoints.delete(id)
+        endpoint.close()
+      }
+    }
+  })
+}
+
+module.exports = messagePort
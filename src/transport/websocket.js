@@ -0,0 +1,18 @@
+const BrowserWebSocket = global.WebSocket || global.MozWebSocket
+const NodeWebSocket = require('ws')
+
+// A transport is a function (url, options) => endpoint where endpoint
+// implements the subset of the WebSocket interface used by Connection:
+// readyState, OPEN, send(data), close() and the onopen, onerror, onclose
+// and onmessage({ data }) callbacks.
+
+module.exports = function websocket (url, options) {
+  if (BrowserWebSocket) {
+    // NOTE: Browsers negotiate permessage-deflate on their own.
+    const socket = new BrowserWebSocket(url)
+    socket.binaryType = 'arraybuffer'
+    return socket
+  }
+
+  return new NodeWebSocket(url, { perMessageDeflate: { threshold: options && options.lzThreshold } })
+}
@@ -0,0 +1,31 @@
+// Reconnect strategies are functions (attempt, previousDelay) => delay, where
+// attempt starts at 0 and previousDelay is 0 before the first attempt.
+
+const JITTER = ['none', 'full', 'decorrelated']
+
+function linear ({ increment = 1e3, max = Infinity } = {}) {
+  return attempt => Math.min(max, increment * attempt)
+}
+
+function exponential ({ base = 1e3, factor = 2, max = 30e3, jitter = 'full', random = Math.random } = {}) {
+  if (!JITTER.includes(jitter)) {
+    throw new Error(`invalid jitter ${jitter}`)
+  }
+
+  return (attempt, previousDelay) => {
+    if (jitter === 'decorrelated') {
+      // NOTE: Grows from the previous delay rather than the attempt.
+      const prev = Math.max(base, previousDelay || 0)
+      return Math.floor(Math.min(max, base + random() * (prev * 3 - base)))
+    }
+
+    const delay = Math.min(max, base * Math.pow(factor, attempt))
+
+    return jitter === 'full' ? Math.floor(random() * delay) : delay
+  }
+}
+
+module.exports = {
+  linear,
+  exponential
+}
@@ -0,0 +1,35 @@
+import C = require('../constants/constants')
+
+type Code = typeof C.EVENT[keyof typeof C.EVENT] | string
+
+export class DeepstreamError extends Error {
+  constructor (message: string, code: Code, data?: unknown)
+  readonly code: Code
+  readonly event: Code
+  topic?: string
+  data?: unknown
+  cause?: Error
+}
+
+export class ConnectionError extends DeepstreamError {}
+
+export class AuthError extends DeepstreamError {
+  constructor (message: string, code: Code, authData?: unknown)
+  readonly authData: any
+}
+
+export class RecordUpdateError extends DeepstreamError {
+  constructor (message: string, code: Code, recordName?: string, recordVersion?: string)
+  readonly recordName?: string
+  readonly recordVersion?: string
+}
+
+export class RpcError extends DeepstreamError {
+  rpcId?: string
+  rpcName?: string
+  rpcData?: unknown
+}
+
+export class ListenerError extends DeepstreamError {}
+
+export class CacheError extends DeepstreamError {}
@@ -0,0 +1,135 @@
+const C = require('../constants/constants')
+
+// Errors carry a stable code, which is one of C.EVENT, and the topic of the
+// message or handler they originate from.
+
+class DeepstreamError extends Error {
+  constructor (message, code, data) {
+    super(message)
+    this.name = 'DeepstreamError'
+    this.code = code
+    this.topic = undefined
+    this.data = data
+  }
+
+  // NOTE: Kept for listeners written against the untyped errors.
+  get event () {
+    return this.code
+  }
+}
+
+class ConnectionError extends DeepstreamError {
+  constructor (message, code, data) {
+    super(message, code, data)
+    this.name = 'ConnectionError'
+    this.topic = C.TOPIC.CONNECTION
+  }
+}
+
+class AuthError extends DeepstreamError {
+  constructor (message, code, authData) {
+    super(message, code, authData)
+    this.name = 'AuthError'
+    this.topic = C.TOPIC.AUTH
+    this.authData = authData
+  }
+}
+
+class RecordUpdateError extends DeepstreamError {
+  constructor (message, code, recordName, recordVersion) {
+    super(message, code)
+    this.name = 'RecordUpdateError'
+    this.topic = C.TOPIC.RECORD
+    this.recordName = recordName
+    this.recordVersion = recordVersion
+  }
+}
+
+class RpcError extends DeepstreamError {
+  constructor (message, code, data) {
+    super(message, code, data)
+    this.name = 'RpcError'
+    this.topic = C.TOPIC.RPC
+  }
+}
+
+class ListenerError extends DeepstreamError {
+  constructor (message, code, data) {
+    super(message, code, data)
+    this.name = 'ListenerError'
+  }
+}
+
+class CacheError extends DeepstreamError {
+  constructor (message, code, data) {
+    super(message, code, data)
+    this.name = 'CacheError'
+    this.topic = C.TOPIC.RECORD
+  }
+}
+
+const EVENT_ERRORS = {
+  [C.EVENT.CONNECTION_ERROR]: ConnectionError,
+  [C.EVENT.CONNECTION_AUTHENTICATION_TIMEOUT]: ConnectionError,
+  [C.EVENT.MAX_RECONNECTION_ATTEMPTS_REACHED]: ConnectionError,
+  [C.EVENT.IS_CLOSED]: ConnectionError,
+  [C.EVENT.NOT_AUTHENTICATED]: AuthError,
+  [C.EVENT.INVALID_AUTHENTICATION_DETAILS]: AuthError,
+  [C.EVENT.TOO_MANY_AUTH_ATTEMPTS]: AuthError,
+  [C.EVENT.AUTH_PROVIDER_ERROR]: AuthError,
+  [C.EVENT.UPDATE_ERROR]: RecordUpdateError,
+  [C.EVENT.VERSION_EXISTS]: RecordUpdateError,
+  [C.EVENT.RPC_ERROR]: RpcError,
+  [C.EVENT.NO_RPC_PROVIDER]: RpcError,
+  [C.EVENT.LISTENER_ERROR]: ListenerError,
+  [C.EVENT.LISTENER_EXISTS]: ListenerError,
+  [C.EVENT.NOT_LISTENING]: ListenerError,
+  [C.EVENT.PROVIDER_ERROR]: ListenerError,
+  [C.EVENT.CACHE_ERROR]: CacheError
+}
+
+const TOPIC_ERRORS = {
+  [C.TOPIC.CONNECTION]: ConnectionError,
+  [C.TOPIC.AUTH]: AuthError,
+  [C.TOPIC.RPC]: RpcError
+}
+
+// Creates the typed error for an error event. Typed errors are passed through
+// and other errors are wrapped, keeping the original as cause.
+function create (topic, event, msgOrError, data) {
+  if (msgOrError instanceof DeepstreamError) {
+    msgOrError.topic = topic
+    if (msgOrError.data === undefined) {
+      msgOrError.data = data
+    }
+    return msgOrError
+  }
+
+  const message = msgOrError && msgOrError.message
+    ? msgOrError.message
+    : msgOrError == null ? '' : String(msgOrError)
+  const Type = EVENT_ERRORS[event] || TOPIC_ERRORS[topic] || DeepstreamError
+
+  const error = Type === RecordUpdateError
+    ? new RecordUpdateError(message, event, data && data[0], data && data[1])
+    : new Type(message, event)
+  error.topic = topic
+  error.data = data
+
+  if (msgOrError instanceof Error) {
+    error.cause = msgOrError
+  }
+
+  return error
+}
+
+module.exports = {
+  DeepstreamError,
+  ConnectionError,
+  AuthError,
+  RecordUpdateError,
+  RpcError,
+  ListenerError,
+  CacheError,
+  create
+}
@@ -0,0 +1,16 @@
+declare namespace Histogram {
+  interface Snapshot {
+    count: number
+    sum: number
+    buckets: Array<{ le: number, count: number }>
+  }
+}
+
+declare class Histogram {
+  constructor (buckets?: number[])
+
+  observe (value: number): void
+  toJSON (): Histogram.Snapshot
+}
+
+export = Histogram
@@ -0,0 +1,33 @@
+// Durations in milliseconds. Buckets are upper bounds and are reported
+// cumulatively, as in Prometheus.
+const BUCKETS = [1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000]
+
+const Histogram = function (buckets) {
+  this._buckets = buckets || BUCKETS
+  this._counts = new Array(this._buckets.length).fill(0)
+  this._count = 0
+  this._sum = 0
+}
+
+Histogram.prototype.observe = function (value) {
+  this._count += 1
+  this._sum += value
+
+  for (let n = 0; n < this._buckets.length; n++) {
+    if (value <= this._buckets[n]) {
+      this._counts[n] += 1
+      break
+    }
+  }
+}
+
+Histogram.prototype.toJSON = function () {
+  let count = 0
+  return {
+    count: this._count,
+    sum: this._sum,
+    buckets: this._buckets.map((le, n) => ({ le, count: (count += this._counts[n]) }))
+  }
+}
+
+module.exports = Histogram
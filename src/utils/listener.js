@@ -11,6 +11,7 @@ class Listener {
     this._options = this._handler._options
     this._client = this._handler._client
     this._connection = this._handler._connection
+    this._logger = this._options.logger
     this._providers = new Map()
     this._recursive = recursive
 
@@ -22,6 +23,10 @@ class Listener {
   }
 
   _$destroy () {
+    if (this._logger) {
+      this._logger.debug({ topic: this._topic, pattern: this._pattern }, 'listener destroy')
+    }
+
     if (this.connected) {
       this._connection.sendMsg(this._topic, C.ACTIONS.UNLISTEN, [this._pattern])
     }
@@ -32,6 +37,10 @@ class Listener {
   _$onMessage (message) {
     const name = message.data[1]
 
+    if (this._logger) {
+      this._logger.debug({ topic: this._topic, action: message.action, pattern: this._pattern, name }, 'listener message')
+    }
+
     if (message.action === C.ACTIONS.SUBSCRIPTION_FOR_PATTERN_FOUND) {
       if (this._providers.has(name)) {
         this._client._$onError(this._topic, C.EVENT.LISTENER_ERROR, 'listener exists', [this._pattern, name])
@@ -65,6 +74,9 @@ class Listener {
         }
 
         if (provider.value$ === undefined || Boolean(value$) !== Boolean(provider.value$)) {
+          if (this._logger) {
+            this._logger.debug({ topic: this._topic, pattern: this._pattern, name: provider.name, accepted: Boolean(value$) }, 'listener provide')
+          }
           this._connection.sendMsg(this._topic, value$ ? C.ACTIONS.LISTEN_ACCEPT : C.ACTIONS.LISTEN_REJECT, [this._pattern, provider.name])
         }
 
@@ -106,6 +118,9 @@ class Listener {
               provider.version = `INF-${xuid()}-${this._client.user || ''}`
               provider.body = body
               provider.ready = true
+              if (this._logger) {
+                this._logger.trace({ topic: this._topic, pattern: this._pattern, name: provider.name, version: provider.version }, 'listener update')
+              }
               this._connection.sendMsg(C.TOPIC.RECORD, C.ACTIONS.UPDATE, [provider.name, provider.version, provider.body])
 
               this._handler._$handle({
@@ -0,0 +1,18 @@
+const LEVELS = ['trace', 'debug', 'info', 'warn', 'error']
+
+const noop = () => {}
+
+// Wraps a pino style logger, i.e. logger[level](obj, msg), so that levels
+// it doesn't implement can be called regardless. Log fields are named
+// consistently: topic, action, name, id, pattern, version, state and duration.
+module.exports = function createLogger (logger) {
+  if (!logger) {
+    return null
+  }
+
+  const wrapped = {}
+  for (const level of LEVELS) {
+    wrapped[level] = typeof logger[level] === 'function' ? logger[level].bind(logger) : noop
+  }
+  return wrapped
+}
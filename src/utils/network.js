@@ -0,0 +1,38 @@
+// Browser network and page visibility. Outside of browsers the page is
+// assumed to be visible and watch is a no-op.
+
+function isVisible () {
+  return !global.document || global.document.visibilityState !== 'hidden'
+}
+
+// Calls onOnline, onOffline and onVisibilityChange(visible) as the browser
+// reports changes. Returns a function that stops watching.
+function watch ({ onOnline, onOffline, onVisibilityChange }) {
+  const target = global.window
+  const doc = global.document
+
+  if (!target || typeof target.addEventListener !== 'function') {
+    return () => {}
+  }
+
+  const onVisibility = () => onVisibilityChange(isVisible())
+
+  target.addEventListener('online', onOnline)
+  target.addEventListener('offline', onOffline)
+  if (doc) {
+    doc.addEventListener('visibilitychange', onVisibility)
+  }
+
+  return () => {
+    target.removeEventListener('online', onOnline)
+    target.removeEventListener('offline', onOffline)
+    if (doc) {
+      doc.removeEventListener('visibilitychange', onVisibility)
+    }
+  }
+}
+
+module.exports = {
+  isVisible,
+  watch
+}
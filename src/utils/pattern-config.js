@@ -0,0 +1,39 @@
+// Config by name pattern, e.g. RecordHandler.configure and RpcHandler.configure.
+
+const PatternConfig = function () {
+  this._entries = []
+}
+
+PatternConfig.prototype.add = function (pattern, config) {
+  if (typeof pattern === 'string' && pattern.length > 0) {
+    pattern = new RegExp(pattern)
+  }
+  if (!(pattern instanceof RegExp)) {
+    throw new Error('invalid argument pattern')
+  }
+  if (!config || typeof config !== 'object') {
+    throw new Error('invalid argument config')
+  }
+
+  const entry = [pattern, config]
+  this._entries.push(entry)
+  return () => {
+    const idx = this._entries.indexOf(entry)
+    if (idx !== -1) {
+      this._entries.splice(idx, 1)
+    }
+  }
+}
+
+PatternConfig.prototype.get = function (name, key) {
+  // NOTE: Last configured pattern wins.
+  for (let i = this._entries.length - 1; i >= 0; i--) {
+    const [pattern, config] = this._entries[i]
+    if (config[key] !== undefined && pattern.test(name)) {
+      return config[key]
+    }
+  }
+  return undefined
+}
+
+module.exports = PatternConfig
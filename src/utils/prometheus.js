@@ -0,0 +1,88 @@
+// Formats client.stats in the Prometheus text exposition format.
+// Histograms are converted from milliseconds to seconds.
+
+const METRICS = [
+  ['connection', 'bytesSent', 'counter', 'Message bytes sent', 'topic'],
+  ['connection', 'bytesReceived', 'counter', 'Message bytes received', 'topic'],
+  ['connection', 'queued', 'gauge', 'Messages queued while not connected'],
+  ['connection', 'reconnects', 'counter', 'Reconnection attempts'],
+  ['connection', 'heartbeatRtt', 'histogram', 'Heartbeat round trip time'],
+  ['connection', 'fragmentsSent', 'counter', 'Fragments sent'],
+  ['connection', 'fragmentsReceived', 'counter', 'Fragments received'],
+  ['connection', 'fragmentTimeouts', 'counter', 'Fragmented messages timed out'],
+  ['connection', 'fragments', 'gauge', 'Fragmented messages being received'],
+  ['record', 'reads', 'counter', 'Record reads'],
+  ['record', 'hits', 'counter', 'Record cache hits'],
+  ['record', 'misses', 'counter', 'Record cache misses'],
+  ['record', 'readLatency', 'histogram', 'Time from record read to first update'],
+  ['record', 'records', 'gauge', 'Records'],
+  ['record', 'listeners', 'gauge', 'Record listeners'],
+  ['record', 'outbox', 'gauge', 'Record updates awaiting confirmation'],
+  ['rpc', 'latency', 'histogram', 'Rpc round trip time', 'name'],
+  ['rpc', 'rpcs', 'gauge', 'Rpcs awaiting a response'],
+  ['rpc', 'listeners', 'gauge', 'Rpc providers'],
+  ['event', 'emitted', 'counter', 'Events emitted'],
+  ['event', 'events', 'gauge', 'Events subscribed'],
+  ['event', 'listeners', 'gauge', 'Event listeners']
+]
+
+function snakeCase (str) {
+  return str.replace(/[A-Z]/g, c => '_' + c.toLowerCase())
+}
+
+function escape (value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+}
+
+function labels (pairs) {
+  const str = pairs
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}="${escape(value)}"`)
+    .join(',')
+  return str ? `{${str}}` : ''
+}
+
+function formatHistogram (lines, name, label, value, histogram) {
+  for (const { le, count } of histogram.buckets) {
+    lines.push(`${name}_bucket${labels([[label, value], ['le', le / 1e3]])} ${count}`)
+  }
+  lines.push(`${name}_bucket${labels([[label, value], ['le', '+Inf']])} ${histogram.count}`)
+  lines.push(`${name}_sum${labels([[label, value]])} ${histogram.sum / 1e3}`)
+  lines.push(`${name}_count${labels([[label, value]])} ${histogram.count}`)
+}
+
+function format (stats, { prefix = 'deepstream' } = {}) {
+  const lines = []
+
+  for (const [section, key, type, help, label] of METRICS) {
+    const stat = stats[section] && stats[section][key]
+    if (stat === undefined) {
+      continue
+    }
+
+    let name = `${prefix}_${section}_${snakeCase(key)}`
+    if (type === 'counter') {
+      name += '_total'
+    } else if (type === 'histogram') {
+      name += '_seconds'
+    }
+
+    lines.push(`# HELP ${name} ${help}`)
+    lines.push(`# TYPE ${name} ${type}`)
+
+    const values = label ? Object.entries(stat) : [[undefined, stat]]
+    for (const [value, metric] of values) {
+      if (type === 'histogram') {
+        formatHistogram(lines, name, label, value, metric)
+      } else {
+        lines.push(`${name}${labels([[label, value]])} ${metric}`)
+      }
+    }
+  }
+
+  return lines.join('\n') + '\n'
+}
+
+module.exports = {
+  format
+}
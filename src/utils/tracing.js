@@ -0,0 +1,33 @@
+// Spans follow the OpenTelemetry tracer interface, i.e.
+// tracer.startSpan(name, { attributes }) returning a span with
+// setAttribute, setStatus, recordException and end.
+
+const STATUS_ERROR = 2
+
+const NOOP_SPAN = {
+  setAttribute () {
+    return this
+  },
+  setStatus () {
+    return this
+  },
+  recordException () {},
+  end () {}
+}
+
+function startSpan (tracer, name, attributes) {
+  return tracer ? tracer.startSpan(name, { attributes }) : NOOP_SPAN
+}
+
+function endSpan (span, err) {
+  if (err) {
+    span.recordException(err)
+    span.setStatus({ code: STATUS_ERROR, message: err.message || String(err) })
+  }
+  span.end()
+}
+
+module.exports = {
+  startSpan,
+  endSpan
+}
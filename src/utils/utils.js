@@ -63,6 +63,56 @@ module.exports.isSameOrNewer = function (a, b) {
   return av > bv || (av === bv && ar >= br)
 }
 
+// NOTE: Size of str once UTF-8 encoded, e.g. as sent in a websocket text frame.
+// Lone surrogates are encoded as U+FFFD.
+module.exports.byteLength = function (str) {
+  let bytes = 0
+  for (let i = 0; i < str.length; i++) {
+    const code = str.charCodeAt(i)
+    if (code < 0x80) {
+      bytes += 1
+    } else if (code < 0x800) {
+      bytes += 2
+    } else if (code >= 0xd800 && code < 0xdc00 && isLowSurrogate(str.charCodeAt(i + 1))) {
+      bytes += 4
+      i += 1
+    } else {
+      bytes += 3
+    }
+  }
+  return bytes
+}
+
+// NOTE: Splits str into chunks of at most size UTF-8 bytes. Surrogate pairs
+// are never split, a lone surrogate wouldn't survive encoding.
+module.exports.splitBytes = function (str, size) {
+  const chunks = []
+  let start = 0
+  let bytes = 0
+  for (let i = 0; i < str.length; i++) {
+    const code = str.charCodeAt(i)
+    const pair = code >= 0xd800 && code < 0xdc00 && isLowSurrogate(str.charCodeAt(i + 1))
+    const n = code < 0x80 ? 1 : code < 0x800 ? 2 : pair ? 4 : 3
+    if (bytes + n > size && i > start) {
+      chunks.push(str.slice(start, i))
+      start = i
+      bytes = 0
+    }
+    bytes += n
+    if (pair) {
+      i += 1
+    }
+  }
+  if (start < str.length || chunks.length === 0) {
+    chunks.push(str.slice(start))
+  }
+  return chunks
+}
+
+function isLowSurrogate (code) {
+  return code >= 0xdc00 && code < 0xe000
+}
+
 module.exports.nextTick = function (fn) {
   if (module.exports.isNode) {
     process.nextTick(fn)
@@ -0,0 +1,29 @@
+import createDeepstream = require('./src/client')
+
+declare namespace testing {
+  interface MockServerOptions {
+    authenticate?: (authParams: any) => unknown
+    canWrite?: (user: string | null, name: string, data: any) => boolean
+    features?: string[]
+    lz?: createDeepstream.LZ | null
+    lzThreshold?: number
+    msgpack?: createDeepstream.MessagePack | null
+    maxPacketSize?: number
+  }
+
+  class MockServer {
+    constructor (options?: MockServerOptions)
+
+    readonly transport: createDeepstream.Transport
+    readonly connections: number
+
+    createClient (options?: createDeepstream.Options): createDeepstream.Client
+    getRecord (name: string): { version: string, data: any } | null
+    setRecord (name: string, data: object): string
+    emitEvent (name: string, data?: unknown): void
+    disconnect (): void
+    close (): void
+  }
+}
+
+export = testing
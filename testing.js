@@ -0,0 +1,5 @@
+const MockServer = require('./src/testing/mock-server')
+
+module.exports = {
+  MockServer
+}